@@ -69,5 +69,20 @@ const ActivationFunctions = {
         name: "Softplus",
         f: x => Math.log(1 + Math.exp(x)),
         df: x => 1 / (1 + Math.exp(-x)) // sigmoid
+    },
+    softmax: {
+        name: "softmax",
+        // Activation de couche : f et jacobian travaillent sur le vecteur z complet de la couche.
+        // Un neurone isolé (sans sa couche) est traité comme une couche à une sortie : f([z]) = [1].
+        layer: true,
+        f: zs => {
+            const max = Math.max(...zs); // Décalage pour la stabilité numérique
+            const exps = zs.map(z => Math.exp(z - max));
+            const sum = exps.reduce((s, e) => s + e, 0);
+            return exps.map(e => e / sum);
+        },
+        // Jacobienne ∂aᵢ/∂zⱼ = aᵢ·(δᵢⱼ - aⱼ), calculée à partir des sorties a = softmax(z)
+        jacobian: as => as.map((ai, i) => as.map((aj, j) => ai * ((i === j ? 1 : 0) - aj))),
+        df: x => 0 // Non utilisée : la rétropropagation passe par la jacobienne de la couche
     }
 };
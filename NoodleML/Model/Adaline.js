@@ -0,0 +1,139 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * @class Adaline
+ * @extends Perceptron
+ * @classdesc ADALINE (ADAptive LInear NEuron, Widrow et Hoff, 1960) : même structure que le perceptron,
+ * mais l'apprentissage corrige l'erreur de la sortie linéaire z = w·x + b au lieu de celle de la sortie seuillée.
+ *
+ * Règle delta (Widrow-Hoff) : wᵢ ← wᵢ + η·(t - z)·xᵢ et b ← b + η·(t - z).
+ * C'est une descente de gradient sur l'erreur quadratique E = ½·(t - z)², exactement ce que fait
+ * `NeuralNetwork.backpropagate` pour un neurone de sortie sans activation.
+ *
+ * Contrairement au perceptron, les poids continuent d'évoluer même quand l'exemple est bien classé,
+ * et l'apprentissage se stabilise aussi sur des données non linéairement séparables.
+ * La prédiction reste seuillée (`predict()` hérité du perceptron) : avec des cibles 0 / 1, le seuil
+ * de la fonction binaire (0.5) est à mi-chemin entre les deux classes.
+ *
+ * @example
+ * const adaline = new Adaline(2, 0.05);
+ * const report = adaline.fit(data, 100);  // data = [{ x: [0, 1], y: 0 }, ...]
+ * console.log(report.mse);                // Erreur quadratique moyenne à la fin de chaque epoch
+ */
+class Adaline extends Perceptron {
+  /**
+   * @param {number} inputSize - Nombre d'entrées.
+   * @param {number} [learningRate=0.05] - Taux d'apprentissage. Trop grand, la règle delta diverge
+   * (plus facilement que la règle du perceptron, car l'erreur n'est pas bornée).
+   * @param {boolean} [disableThreshold=false] - Voir `Perceptron`.
+   * @param {RandomGenerator|null} [rng=Random] - Voir `Perceptron`.
+   */
+  constructor(inputSize, learningRate = 0.05, disableThreshold = false, rng = Random) {
+    super(inputSize, learningRate, disableThreshold, rng);
+    this.name = "Adaline";
+  }
+
+  /**
+   * Sortie linéaire de l'Adaline, utilisée pendant l'apprentissage.
+   *
+   * @param {number[]} input - Tableau d'entrées numériques.
+   * @returns {number} z = Σ wᵢ·xᵢ + b
+   */
+  output(input) {
+    return this.weightedSum(input);
+  }
+
+  /**
+   * Applique la règle delta sur un exemple.
+   *
+   * @param {number[]} input - Tableau d'entrées numériques.
+   * @param {number} target - Valeur cible (0 ou 1).
+   * @returns {number} L'erreur t - z de la sortie linéaire, avant la mise à jour.
+   */
+  train(input, target) {
+    const error = target - this.output(input);
+
+    for (let i = 0; i < input.length; i++) {
+      this.weights[i] += this.learningRate * error * input[i];
+    }
+    this.bias += this.learningRate * error;
+
+    return error;
+  }
+
+  /**
+   * Entraîne l'Adaline par descente de gradient stochastique (un exemple à la fois) et mesure
+   * l'erreur quadratique moyenne à la fin de chaque epoch.
+   *
+   * @param {Array<{x: number[], y: number}>} data - Exemples étiquetés (`y` : 0 ou 1).
+   * @param {number} [epochs=20] - Nombre maximal de passages sur l'ensemble de données.
+   * @param {boolean} [shuffle=true] - Mélange l'ordre des exemples à chaque epoch.
+   * @param {object} [options]
+   * @param {number} [options.tolerance=1e-6] - L'apprentissage s'arrête lorsque la MSE varie
+   * de moins de `tolerance` d'une epoch à l'autre (0 pour effectuer toutes les epochs).
+   *
+   * @returns {{ epochs: number, mse: number[], errors: number[], converged: boolean, finalErrors: number }}
+   * Rapport d'apprentissage : nombre d'epochs effectuées, MSE et nombre d'exemples mal classés à la fin
+   * de chaque epoch, `converged` vrai si la MSE s'est stabilisée, et nombre d'exemples mal classés à la fin.
+   */
+  fit(data, epochs = 20, shuffle = true, options = {}) {
+    const { tolerance = 1e-6 } = options;
+    data = [...data];
+    const report = { epochs: 0, mse: [], errors: [], converged: false, finalErrors: 0 };
+
+    for (let e = 0; e < epochs && !report.converged; e++) {
+      if (shuffle) {
+        Random.shuffle(data);
+      }
+      for (const { x, y } of data) {
+        this.train(x, y);
+      }
+
+      const mse = this.meanSquaredError(data);
+      report.converged = report.epochs > 0 && Math.abs(report.mse.at(-1) - mse) < tolerance;
+      report.epochs++;
+      report.mse.push(mse);
+      report.errors.push(this.countErrors(data));
+    }
+
+    report.finalErrors = report.errors.at(-1) ?? this.countErrors(data);
+    return report;
+  }
+
+  /**
+   * Erreur quadratique moyenne de la sortie linéaire : (1/n)·Σ(t - z)².
+   *
+   * @param {Array<{x: number[], y: number}>} data - Exemples étiquetés.
+   * @returns {number}
+   */
+  meanSquaredError(data) {
+    return data.reduce((sum, { x, y }) => sum + (y - this.output(x)) ** 2, 0) / data.length;
+  }
+}
@@ -26,20 +26,33 @@
  * © 2025 Sébastien MARCHAND
  **********************************************************/
 
-// NoodleMLViews.js
-import { LogicFunctionHeatmapView } from './LogicFunctionHeatmapView.js';
-import { HeatmapView } from './HeatmapView.js';
-import { NeuronView } from './NeuronView.js';
-import { NeuralConnectionView } from './NeuralConnectionView.js';
-import { NeuralNetworkView } from './NeuralNetworkView.js';
-import { Plot } from './Plot.js';
+/**
+ * Générateurs de jeux de données jouets pour les démonstrations du cours.
+ *
+ * Chaque générateur retourne `{ inputs, labels }` où `labels` contient des indices de classe entiers,
+ * à convertir en cibles one-hot avec `NeuralNetwork.oneHotEncode(labels)` pour un réseau softmax.
+ */
+const Datasets = {
+    /**
+     * Nuages de points gaussiens en 2D, un par classe (façon "iris" simplifié).
+     *
+     * @param {number[][]} [centers] - Centres des nuages, un par classe (par défaut 3 classes dans [0,1]²).
+     * @param {number} [samplesPerClass=30] - Nombre de points par classe.
+     * @param {number} [spread=0.08] - Écart-type de chaque nuage.
+     * @param {RandomGenerator} [rng=Random] - Générateur aléatoire.
+     * @returns {{ inputs: number[][], labels: number[] }}
+     */
+    blobs(centers = [[0.25, 0.25], [0.75, 0.3], [0.5, 0.8]], samplesPerClass = 30, spread = 0.08, rng = Random) {
+        const inputs = [];
+        const labels = [];
+
+        centers.forEach((center, label) => {
+            for (let i = 0; i < samplesPerClass; i++) {
+                inputs.push(center.map(c => rng.normal(c, spread)));
+                labels.push(label);
+            }
+        });
 
-// Exporter les classes
-export {
-    LogicFunctionHeatmapView,
-    HeatmapView,
-    NeuronView,
-    NeuralConnectionView,
-    NeuralNetworkView,
-    Plot
+        return { inputs, labels };
+    }
 };
@@ -0,0 +1,354 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * @class GraphNeuralNetwork
+ * @classdesc Réseau de neurones sous forme de graphe orienté acyclique (DAG).
+ *
+ * Contrairement à `NeuralNetwork` (pile de couches denses), chaque neurone reçoit ici ses entrées par
+ * des objets `NeuralConnection` (`neuron.incoming`) pouvant provenir de n'importe quel nœud en amont :
+ * entrées, neurones d'une couche précédente ou plus lointaine. On peut ainsi construire :
+ * - des connexions résiduelles / « skip connections » qui sautent une ou plusieurs couches
+ * - plusieurs groupes d'entrées (ex: capteurs et contexte) fusionnés plus loin dans le réseau
+ * - des neurones partagés, dont la sortie alimente plusieurs branches
+ *
+ * Les passes avant et arrière parcourent les neurones dans l'ordre topologique du graphe.
+ *
+ * Exemple :
+ *   const net = new GraphNeuralNetwork();
+ *   const x = net.addInputGroup("x", 2);
+ *   const hidden = net.addLayer(4, x, ActivationFunctions.tanh);
+ *   const out = net.addLayer(1, [...hidden, ...x]); // la sortie voit aussi directement les entrées
+ *   net.setOutputs(out);
+ */
+class GraphNeuralNetwork {
+  /**
+   * @param {object} [options] - Options du réseau.
+   * @param {Optimizer|string|object} [options.optimizer="sgd"] - Optimiseur (voir `Optimizers`).
+   * @param {string|object} [options.loss="mse"] - Fonction de perte (voir `LossFunctions`).
+   * @param {RandomGenerator|number} [options.rng=Random] - Générateur aléatoire ou graine.
+   */
+  constructor(options = {}) {
+    this.rng = typeof options.rng === 'number' ? new RandomGenerator(options.rng) : (options.rng ?? Random);
+    this.optimizer = Optimizer.from(options.optimizer);
+    this.lossFunction = typeof options.loss === 'string' ? LossFunctions[options.loss] : (options.loss ?? LossFunctions.mse);
+    if (!this.lossFunction) {
+      throw new Error(`Fonction de perte inconnue : ${options.loss}`);
+    }
+
+    this.inputGroups = [];  // [{ name, nodes }]
+    this.inputNodes = [];   // Tous les nœuds d'entrée, dans l'ordre de création des groupes
+    this.neurons = [];      // Neurones du graphe, dans l'ordre de création
+    this.outputs = [];      // Neurones de sortie
+    this.order = null;      // Ordre topologique (recalculé après chaque modification)
+    this.learningRate = 0.1;
+  }
+
+  /**
+   * Ajoute un groupe d'entrées au réseau.
+   * @param {string} name - Nom du groupe (clé utilisable dans `predict({ [name]: [...] })`).
+   * @param {number} size - Nombre d'entrées du groupe.
+   * @returns {Array<{name: string, output: number}>} Nœuds d'entrée, utilisables comme source de connexions.
+   */
+  addInputGroup(name, size) {
+    if (this.inputGroups.some(group => group.name === name)) {
+      throw new Error(`Le groupe d'entrées "${name}" existe déjà.`);
+    }
+    const nodes = Array.from({ length: size }, (_, i) => ({ name: `${name}${i + 1}`, output: 0 }));
+    this.inputGroups.push({ name, nodes });
+    this.inputNodes.push(...nodes);
+    return nodes;
+  }
+
+  /**
+   * Ajoute un neurone sans connexion entrante.
+   * @param {object|string} [activation=ActivationFunctions.sigmoid] - Activation élément par élément, ou sa clé
+   * dans `ActivationFunctions` (ex: "relu").
+   * @param {string} [name] - Nom du neurone (par défaut N1, N2...).
+   * @returns {Neuron} Neurone dont les entrées sont listées dans `neuron.incoming`.
+   */
+  addNeuron(activation = ActivationFunctions.sigmoid, name = null) {
+    activation = NeuralNetwork.resolveActivation(activation);
+    if (activation.layer) {
+      throw new Error(`L'activation de couche "${activation.name}" n'est pas supportée dans un graphe.`);
+    }
+    const neuron = new Neuron(0, this.learningRate, activation, [], null); // Biais nul, sans tirage aléatoire
+    neuron.name = name ?? `N${this.neurons.length + 1}`;
+    neuron.incoming = [];
+    neuron.output = 0;
+    this.neurons.push(neuron);
+    this.order = null;
+    return neuron;
+  }
+
+  /**
+   * Relie un nœud source (entrée ou neurone) à un neurone cible.
+   * @param {Neuron|{output: number}} from - Nœud source.
+   * @param {Neuron} to - Neurone cible (créé par `addNeuron`).
+   * @param {number|null} [weight=null] - Poids initial (aléatoire dans [-1, 1] si null).
+   * @returns {NeuralConnection}
+   */
+  connect(from, to, weight = null) {
+    if (!this.neurons.includes(to)) {
+      throw new Error("Le neurone cible n'appartient pas à ce réseau.");
+    }
+    if (!this.neurons.includes(from) && !this.inputNodes.includes(from)) {
+      throw new Error("Le nœud source n'appartient pas à ce réseau.");
+    }
+    if (from === to || this.dependsOn(from, to)) {
+      throw new Error(`La connexion ${from.name} → ${to.name} créerait un cycle.`);
+    }
+
+    const connection = new NeuralConnection(from, weight ?? Initializers.uniform.f(1, 1, this.rng));
+    to.incoming.push(connection);
+    this.order = null;
+    return connection;
+  }
+
+  /**
+   * Ajoute un groupe de neurones entièrement connectés à une liste de sources.
+   * @param {number} size - Nombre de neurones.
+   * @param {Array<Neuron|{output: number}>} sources - Nœuds sources (entrées et/ou neurones).
+   * @param {object|string} [activation=ActivationFunctions.sigmoid] - Activation ou sa clé (voir `addNeuron`).
+   * @param {string|object|function} [initializer="uniform"] - Initialisation des poids (voir `Initializers`).
+   * @returns {Neuron[]} Les neurones créés.
+   */
+  addLayer(size, sources, activation = ActivationFunctions.sigmoid, initializer = Initializers.uniform) {
+    activation = NeuralNetwork.resolveActivation(activation); // Rejet d'une clé inconnue avant toute création
+    const weightInit = resolveInitializer(initializer);
+    const neurons = Array.from({ length: size }, () => this.addNeuron(activation));
+    for (const neuron of neurons) {
+      for (const source of sources) {
+        this.connect(source, neuron, weightInit.f(sources.length, size, this.rng));
+      }
+    }
+    return neurons;
+  }
+
+  /**
+   * Définit les neurones de sortie du réseau (dans l'ordre des sorties de `predict`).
+   * @param {Neuron[]} neurons 
+   */
+  setOutputs(neurons) {
+    if (neurons.some(neuron => !this.neurons.includes(neuron))) {
+      throw new Error("Un neurone de sortie n'appartient pas à ce réseau.");
+    }
+    this.outputs = [...neurons];
+  }
+
+  /**
+   * Indique si le nœud `node` dépend (directement ou non) du nœud `source`.
+   * @param {Neuron|{output: number}} node 
+   * @param {Neuron|{output: number}} source 
+   * @returns {boolean}
+   */
+  dependsOn(node, source) {
+    const stack = [node];
+    const visited = new Set();
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === source) return true;
+      if (visited.has(current) || !current.incoming) continue;
+      visited.add(current);
+      current.incoming.forEach(conn => stack.push(conn.from));
+    }
+    return false;
+  }
+
+  /**
+   * Retourne les neurones dans un ordre topologique : chaque neurone apparaît après toutes ses sources.
+   * @returns {Neuron[]}
+   */
+  getTopologicalOrder() {
+    if (this.order) {
+      return this.order;
+    }
+
+    // Algorithme de Kahn sur les neurones (les entrées n'ont pas de dépendance)
+    const pending = new Map(this.neurons.map(n => [n, n.incoming.filter(c => this.neurons.includes(c.from)).length]));
+    const successors = new Map(this.neurons.map(n => [n, []]));
+    for (const neuron of this.neurons) {
+      for (const conn of neuron.incoming) {
+        successors.get(conn.from)?.push(neuron);
+      }
+    }
+
+    const order = [];
+    const ready = this.neurons.filter(n => pending.get(n) === 0);
+    while (ready.length > 0) {
+      const neuron = ready.shift();
+      order.push(neuron);
+      for (const next of successors.get(neuron)) {
+        pending.set(next, pending.get(next) - 1);
+        if (pending.get(next) === 0) ready.push(next);
+      }
+    }
+
+    if (order.length !== this.neurons.length) {
+      throw new Error("Le graphe contient un cycle.");
+    }
+    this.order = order;
+    return order;
+  }
+
+  /**
+   * Propagation avant : calcule la sortie de tous les neurones dans l'ordre topologique.
+   * @param {number[]|Object<string, number[]>} input - Entrées concaténées dans l'ordre des groupes,
+   * ou objet { nomDuGroupe: valeurs }.
+   * @returns {number[]} Sorties des neurones de `outputs`.
+   */
+  predict(input) {
+    this.setInputs(input);
+    for (const neuron of this.getTopologicalOrder()) {
+      neuron.z = neuron.getBias() + neuron.incoming.reduce((sum, conn) => sum + conn.compute(), 0);
+      neuron.output = neuron.activate(neuron.z);
+    }
+    return this.outputs.map(neuron => neuron.output);
+  }
+
+  /**
+   * Affecte les valeurs des nœuds d'entrée.
+   * @param {number[]|Object<string, number[]>} input 
+   */
+  setInputs(input) {
+    if (Array.isArray(input)) {
+      if (input.length !== this.inputNodes.length) {
+        throw new Error(`${this.inputNodes.length} entrées attendues, ${input.length} reçues.`);
+      }
+      this.inputNodes.forEach((node, i) => node.output = input[i]);
+      return;
+    }
+
+    for (const { name, nodes } of this.inputGroups) {
+      const values = input[name];
+      if (!values || values.length !== nodes.length) {
+        throw new Error(`Le groupe d'entrées "${name}" attend ${nodes.length} valeurs.`);
+      }
+      nodes.forEach((node, i) => node.output = values[i]);
+    }
+  }
+
+  /**
+   * Calcule les gradients de l'erreur pour un échantillon (passe avant puis arrière en ordre topologique inverse).
+   * @param {number[]|Object<string, number[]>} input 
+   * @param {number[]} target 
+   * @returns {{ weights: Map<NeuralConnection, number>, biases: Map<Neuron, number>, loss: number }}
+   */
+  computeGradients(input, target) {
+    const output = this.predict(input);
+    const dLoss = this.lossFunction.df(output, target);
+
+    // ∂E/∂a pour chaque neurone, alimenté par ses successeurs
+    const dA = new Map(this.neurons.map(n => [n, 0]));
+    this.outputs.forEach((neuron, i) => dA.set(neuron, dA.get(neuron) + dLoss[i]));
+
+    const weights = new Map();
+    const biases = new Map();
+    const order = this.getTopologicalOrder();
+
+    for (let n = order.length - 1; n >= 0; n--) {
+      const neuron = order[n];
+      const delta = dA.get(neuron) * neuron.activationDerivative(neuron.z);
+      biases.set(neuron, delta);
+
+      for (const conn of neuron.incoming) {
+        weights.set(conn, delta * conn.from.output);
+        if (dA.has(conn.from)) {
+          dA.set(conn.from, dA.get(conn.from) + conn.weight * delta);
+        }
+      }
+    }
+
+    return { weights, biases, loss: this.lossFunction.f(output, target) };
+  }
+
+  /**
+   * Applique des gradients aux poids et biais par l'intermédiaire de l'optimiseur.
+   * @param {{ weights: Map<NeuralConnection, number>, biases: Map<Neuron, number> }} gradients 
+   * @param {number} [scale=1] - Facteur appliqué aux gradients (ex: 1 / taille du batch).
+   */
+  applyGradients(gradients, scale = 1) {
+    for (const [conn, gradient] of gradients.weights) {
+      conn.optimizerState ??= {};
+      conn.setWeight(this.optimizer.update(conn.weight, gradient * scale, conn.optimizerState, this.learningRate));
+    }
+    for (const [neuron, gradient] of gradients.biases) {
+      neuron.biasOptimizerState ??= {};
+      neuron.setBias(this.optimizer.update(neuron.getBias(), gradient * scale, neuron.biasOptimizerState, this.learningRate));
+    }
+  }
+
+  /**
+   * Entraîne le réseau par descente de gradient (stochastique, mini-batch ou full-batch).
+   * @param {Array<number[]|Object<string, number[]>>} inputs 
+   * @param {number[][]} targets 
+   * @param {number} epochs 
+   * @param {number} [lr=0.1] 
+   * @param {object} [options] 
+   * @param {number} [options.batchSize=1] - Nombre d'échantillons par mise à jour des poids.
+   * @param {boolean} [options.shuffle=true] - Mélange l'ordre des échantillons à chaque epoch.
+   * @returns {{ epochs: number, loss: number[] }} Perte moyenne par epoch.
+   */
+  train(inputs, targets, epochs, lr = 0.1, options = {}) {
+    const { batchSize = 1, shuffle = true } = options;
+    if (this.outputs.length === 0) {
+      throw new Error("Aucun neurone de sortie : appeler setOutputs() avant l'entraînement.");
+    }
+
+    this.learningRate = lr;
+    const history = { epochs: 0, loss: [] };
+    const order = inputs.map((_, i) => i);
+    const size = Math.min(Math.floor(batchSize), inputs.length) || 1;
+
+    for (let e = 0; e < epochs; e++) {
+      let epochLoss = 0;
+      if (shuffle) {
+        this.rng.shuffle(order);
+      }
+
+      for (let start = 0; start < order.length; start += size) {
+        const batch = order.slice(start, start + size);
+        const sum = { weights: new Map(), biases: new Map() };
+
+        for (const i of batch) {
+          const g = this.computeGradients(inputs[i], targets[i]);
+          epochLoss += g.loss;
+          g.weights.forEach((v, conn) => sum.weights.set(conn, (sum.weights.get(conn) ?? 0) + v));
+          g.biases.forEach((v, neuron) => sum.biases.set(neuron, (sum.biases.get(neuron) ?? 0) + v));
+        }
+
+        this.applyGradients(sum, 1 / batch.length);
+      }
+
+      history.loss.push(epochLoss / inputs.length);
+      history.epochs++;
+    }
+
+    return history;
+  }
+}
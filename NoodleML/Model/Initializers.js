@@ -0,0 +1,111 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * Registre des stratégies d'initialisation des poids.
+ *
+ * Chaque entrée fournit f(fanIn, fanOut, rng) qui tire une valeur initiale pour un poids, avec :
+ * - fanIn : nombre d'entrées du neurone
+ * - fanOut : nombre de neurones de la couche
+ * - rng : générateur aléatoire à utiliser (`Random` partagé par défaut)
+ *
+ * Glorot (Xavier) convient aux activations sigmoïde/tanh, He aux ReLU, LeCun aux activations auto-normalisantes.
+ */
+const Initializers = {
+    uniform: {
+        name: "uniform[-1,1]", // Initialisation historique de NoodleML
+        f: (fanIn, fanOut, rng = Random) => rng.uniform(-1, 1)
+    },
+    zeros: {
+        name: "zeros",
+        f: () => 0
+    },
+    ones: {
+        name: "ones",
+        f: () => 1
+    },
+    glorotUniform: {
+        name: "glorotUniform",
+        f: (fanIn, fanOut, rng = Random) => {
+            const limit = Math.sqrt(6 / (fanIn + fanOut));
+            return rng.uniform(-limit, limit);
+        }
+    },
+    glorotNormal: {
+        name: "glorotNormal",
+        f: (fanIn, fanOut, rng = Random) => rng.normal(0, Math.sqrt(2 / (fanIn + fanOut)))
+    },
+    heUniform: {
+        name: "heUniform",
+        f: (fanIn, fanOut, rng = Random) => rng.uniform(-1, 1) * Math.sqrt(6 / fanIn)
+    },
+    heNormal: {
+        name: "heNormal",
+        f: (fanIn, fanOut, rng = Random) => rng.normal(0, Math.sqrt(2 / fanIn))
+    },
+    lecunUniform: {
+        name: "lecunUniform",
+        f: (fanIn, fanOut, rng = Random) => rng.uniform(-1, 1) * Math.sqrt(3 / fanIn)
+    },
+    lecunNormal: {
+        name: "lecunNormal",
+        f: (fanIn, fanOut, rng = Random) => rng.normal(0, Math.sqrt(1 / fanIn))
+    }
+};
+
+/**
+ * Crée un initialiseur qui donne la même valeur à tous les poids.
+ * @param {number} value 
+ * @returns {{name: string, f: function(): number}}
+ */
+function constantInitializer(value) {
+    return { name: `constant(${value})`, f: () => value };
+}
+
+/**
+ * Retrouve un initialiseur à partir d'une clé du registre, d'une entrée {name, f}
+ * ou d'une fonction personnalisée (fanIn, fanOut, rng) => poids.
+ *
+ * @param {string|object|function} spec 
+ * @returns {{name: string, f: function(number, number): number}}
+ */
+function resolveInitializer(spec) {
+    if (typeof spec === 'string') {
+        if (!Initializers[spec]) {
+            throw new Error(`Initialiseur inconnu : ${spec}`);
+        }
+        return Initializers[spec];
+    }
+    if (typeof spec === 'function') {
+        return { name: spec.name || "custom", f: spec };
+    }
+    if (spec && typeof spec.f === 'function') {
+        return spec;
+    }
+    throw new Error("Initialiseur invalide : clé de Initializers, objet {name, f} ou fonction attendue.");
+}
@@ -0,0 +1,250 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * @class LayerMatrix
+ * @classdesc Représentation dense d'une couche de neurones dans des tableaux typés (`Float64Array`).
+ *
+ * Les poids sont rangés ligne par ligne : `weights[j * cols + i]` est le poids de l'entrée i du neurone j.
+ * Une connexion absente (couche creuse) a un poids nul et n'est jamais mise à jour, ce qui permet d'utiliser
+ * les mêmes noyaux produit matrice-vecteur pour les couches denses et creuses.
+ *
+ * Les objets `Neuron` de la couche restent utilisables : une fois liés par `bind()`, leurs propriétés
+ * `bias` et `connections[k].weight` deviennent des vues sur les tableaux typés. Lire ou modifier un poids
+ * depuis un neurone lit ou modifie donc directement la matrice.
+ */
+class LayerMatrix {
+  /** Accesseurs partagés installés par `bindValue()` sur les propriétés liées. */
+  static ACCESSORS = {
+    weight: {
+      get() { const { array, offset } = this.matrixBindings.weight; return array[offset]; },
+      set(value) { const { array, offset } = this.matrixBindings.weight; array[offset] = value; },
+      enumerable: true,
+      configurable: true
+    },
+    bias: {
+      get() { const { array, offset } = this.matrixBindings.bias; return array[offset]; },
+      set(value) { const { array, offset } = this.matrixBindings.bias; array[offset] = value; },
+      enumerable: true,
+      configurable: true
+    }
+  };
+
+  /**
+   * @param {number} rows - Nombre de neurones de la couche.
+   * @param {number} cols - Nombre d'entrées de la couche.
+   */
+  constructor(rows, cols) {
+    this.rows = rows;
+    this.cols = cols;
+    this.weights = new Float64Array(rows * cols);
+    this.biases = new Float64Array(rows);
+    this.neurons = [];      // Neurones liés, par ligne
+    this.connections = [];  // Tableaux `neuron.connections` au moment de la liaison, par ligne
+    this.counts = [];       // Nombre de connexions au moment de la liaison, par ligne
+  }
+
+  /**
+   * Crée la matrice d'une couche en y copiant les poids et biais actuels de ses neurones, puis lie les neurones.
+   * @param {Neuron[]} neurons 
+   * @param {number} inputSize - Nombre d'entrées de la couche.
+   * @returns {LayerMatrix}
+   */
+  static fromNeurons(neurons, inputSize) {
+    const matrix = new LayerMatrix(neurons.length, inputSize);
+    neurons.forEach((neuron, j) => matrix.bind(neuron, j));
+    return matrix;
+  }
+
+  /**
+   * Lie un neurone à une ligne de la matrice : ses poids et son biais actuels y sont copiés, puis
+   * `neuron.bias` et `conn.weight` sont redéfinis comme accesseurs vers les tableaux typés.
+   * Les objets connexion sont conservés (avec leur éventuel état d'optimiseur).
+   *
+   * @param {Neuron} neuron 
+   * @param {number} row 
+   */
+  bind(neuron, row) {
+    for (const conn of neuron.connections) {
+      if (conn.index < 0 || conn.index >= this.cols) {
+        throw new Error(`Index ${conn.index} hors des bornes d'entrée.`);
+      }
+      LayerMatrix.bindValue(conn, 'weight', this.weights, row * this.cols + conn.index);
+    }
+    LayerMatrix.bindValue(neuron, 'bias', this.biases, row);
+
+    this.neurons[row] = neuron;
+    this.connections[row] = neuron.connections;
+    this.counts[row] = neuron.connections.length;
+  }
+
+  /**
+   * Remplace la propriété `key` d'un objet par un accesseur vers `array[offset]`, après y avoir copié sa valeur.
+   * Les accesseurs sont partagés par tous les objets liés (ils lisent l'emplacement dans `matrixBindings`),
+   * afin que les neurones et connexions gardent une forme commune et restent rapides d'accès.
+   *
+   * @param {object} target - Neurone ou connexion.
+   * @param {string} key - "bias" ou "weight".
+   * @param {Float64Array} array 
+   * @param {number} offset 
+   */
+  static bindValue(target, key, array, offset) {
+    array[offset] = target[key];
+    if (!Object.prototype.hasOwnProperty.call(target, 'matrixBindings')) {
+      Object.defineProperty(target, 'matrixBindings', { value: {}, writable: true, configurable: true });
+    }
+    target.matrixBindings[key] = { array, offset };
+    Object.defineProperty(target, key, LayerMatrix.ACCESSORS[key]);
+  }
+
+  /**
+   * Indique si la matrice correspond toujours à la couche : mêmes neurones, même nombre d'entrées et
+   * mêmes listes de connexions. Dans le cas contraire (topologie modifiée), elle doit être reconstruite.
+   *
+   * @param {Neuron[]} neurons 
+   * @param {number} inputSize 
+   * @returns {boolean}
+   */
+  isBoundTo(neurons, inputSize) {
+    if (neurons.length !== this.rows || inputSize !== this.cols) {
+      return false;
+    }
+    for (let j = 0; j < this.rows; j++) {
+      const neuron = neurons[j];
+      if (neuron !== this.neurons[j] || neuron.connections !== this.connections[j] || neuron.connections.length !== this.counts[j]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Sommes pondérées de la couche : z = W·x + b
+   * @param {ArrayLike<number>} input - Vecteur d'entrée de taille `cols`.
+   * @param {Float64Array} [out] - Vecteur de sortie de taille `rows` (alloué si absent).
+   * @returns {Float64Array} z
+   */
+  forward(input, out = new Float64Array(this.rows)) {
+    const { rows, cols, weights, biases } = this;
+    if (input.length < cols) {
+      throw new Error(`${cols} entrées attendues, ${input.length} reçues.`);
+    }
+    for (let j = 0, offset = 0; j < rows; j++, offset += cols) {
+      let sum = biases[j];
+      for (let i = 0; i < cols; i++) {
+        sum += weights[offset + i] * input[i];
+      }
+      out[j] = sum;
+    }
+    return out;
+  }
+
+  /**
+   * Sommes pondérées d'un lot d'entrées : zₙ = W·xₙ + b pour chaque ligne n.
+   * @param {Float64Array} inputs - Entrées rangées ligne par ligne (`count × cols`).
+   * @param {number} count - Nombre d'entrées du lot.
+   * @param {Float64Array} [out] - Sorties rangées ligne par ligne (`count × rows`, allouées si absentes).
+   * @returns {Float64Array}
+   */
+  forwardBatch(inputs, count, out = new Float64Array(count * this.rows)) {
+    const { rows, cols, weights, biases } = this;
+    for (let n = 0; n < count; n++) {
+      const inOffset = n * cols;
+      const outOffset = n * rows;
+      for (let j = 0, offset = 0; j < rows; j++, offset += cols) {
+        let sum = biases[j];
+        for (let i = 0; i < cols; i++) {
+          sum += weights[offset + i] * inputs[inOffset + i];
+        }
+        out[outOffset + j] = sum;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Range un lot d'entrées dans un tableau typé, ligne par ligne.
+   * @param {number[][]|Float64Array} inputs - Tableau de vecteurs, ou tableau plat déjà rangé ligne par ligne.
+   * @param {number} cols - Taille de chaque vecteur.
+   * @returns {Float64Array}
+   */
+  static toBatch(inputs, cols) {
+    if (ArrayBuffer.isView(inputs)) {
+      if (inputs.length % cols !== 0) {
+        throw new Error(`La taille du lot (${inputs.length}) n'est pas un multiple de ${cols}.`);
+      }
+      return inputs instanceof Float64Array ? inputs : Float64Array.from(inputs);
+    }
+
+    const batch = new Float64Array(inputs.length * cols);
+    inputs.forEach((row, n) => {
+      if (row.length !== cols) {
+        throw new Error(`${cols} entrées attendues, ${row.length} reçues (ligne ${n}).`);
+      }
+      batch.set(row, n * cols);
+    });
+    return batch;
+  }
+
+  /**
+   * Produit par la transposée : Wᵀ·δ (propagation de l'erreur vers les entrées de la couche).
+   * @param {ArrayLike<number>} delta - Vecteur de taille `rows`.
+   * @param {Float64Array} [out] - Vecteur de sortie de taille `cols` (alloué si absent).
+   * @returns {Float64Array}
+   */
+  backward(delta, out = new Float64Array(this.cols)) {
+    const { rows, cols, weights } = this;
+    out.fill(0);
+    for (let j = 0, offset = 0; j < rows; j++, offset += cols) {
+      const d = delta[j];
+      if (d === 0) continue;
+      for (let i = 0; i < cols; i++) {
+        out[i] += weights[offset + i] * d;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Produit extérieur δ ⊗ x : gradient de l'erreur par rapport à chaque poids de la couche.
+   * @param {ArrayLike<number>} delta - Vecteur de taille `rows`.
+   * @param {ArrayLike<number>} input - Vecteur de taille `cols`.
+   * @param {Float64Array} [out] - Matrice de sortie `rows × cols` (allouée si absente).
+   * @returns {Float64Array}
+   */
+  outer(delta, input, out = new Float64Array(this.rows * this.cols)) {
+    const { rows, cols } = this;
+    for (let j = 0, offset = 0; j < rows; j++, offset += cols) {
+      const d = delta[j];
+      for (let i = 0; i < cols; i++) {
+        out[offset + i] = d * input[i];
+      }
+    }
+    return out;
+  }
+}
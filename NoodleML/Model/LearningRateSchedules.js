@@ -0,0 +1,207 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * @class LearningRateSchedule
+ * @classdesc Classe de base des plannings de taux d'apprentissage.
+ *
+ * Un planning calcule le taux d'apprentissage à utiliser à partir du taux de base passé à
+ * `NeuralNetwork.train()` et d'un compteur `t`, qui compte les epochs (`per: "epoch"`, par défaut)
+ * ou les mises à jour des poids (`per: "step"`) depuis la création du réseau,
+ * cumulés sur les appels successifs de `train()` (`network.epoch`, `network.step`).
+ */
+class LearningRateSchedule {
+  /**
+   * @param {string} type - Identifiant du planning dans le registre `LearningRateSchedules`.
+   * @param {{per?: string}} [params]
+   */
+  constructor(type, { per = "epoch" } = {}) {
+    if (per !== "epoch" && per !== "step") {
+      throw new Error(`Unité de planning invalide : ${per} (attendu "epoch" ou "step").`);
+    }
+    this.type = type;
+    this.per = per;
+  }
+
+  /**
+   * Calcule le taux d'apprentissage.
+   * @param {number} baseRate - Taux d'apprentissage de base.
+   * @param {number} t - Numéro de l'epoch ou de la mise à jour (à partir de 0).
+   * @returns {number}
+   */
+  getRate(baseRate, t) {
+    throw new Error(`Le planning "${this.type}" doit implémenter getRate().`);
+  }
+
+  /**
+   * Construit un planning à partir d'une instance, d'un nom ou d'une configuration.
+   *
+   * @param {LearningRateSchedule|string|{type: string}|null} spec - Ex: "cosine", { type: "stepDecay", stepSize: 20 }.
+   * @returns {LearningRateSchedule}
+   */
+  static from(spec) {
+    if (spec instanceof LearningRateSchedule) {
+      return spec;
+    }
+    if (spec === null || spec === undefined) {
+      return new ConstantSchedule();
+    }
+
+    const { type, ...params } = typeof spec === 'string' ? { type: spec } : spec;
+    const ScheduleClass = LearningRateSchedules[type];
+    if (!ScheduleClass) {
+      throw new Error(`Planning de taux d'apprentissage inconnu : ${type}`);
+    }
+    return new ScheduleClass(params);
+  }
+}
+
+/**
+ * @class ConstantSchedule
+ * @extends LearningRateSchedule
+ * @classdesc Taux constant : η(t) = η₀
+ */
+class ConstantSchedule extends LearningRateSchedule {
+  constructor(params = {}) {
+    super("constant", params);
+  }
+
+  getRate(baseRate, t) {
+    return baseRate;
+  }
+}
+
+/**
+ * @class StepDecaySchedule
+ * @extends LearningRateSchedule
+ * @classdesc Décroissance par paliers : le taux est multiplié par `factor` toutes les `stepSize` unités.
+ * η(t) = η₀ · factor^⌊t / stepSize⌋
+ */
+class StepDecaySchedule extends LearningRateSchedule {
+  /**
+   * @param {{stepSize?: number, factor?: number, per?: string}} [params]
+   */
+  constructor({ stepSize = 10, factor = 0.5, ...params } = {}) {
+    super("stepDecay", params);
+    this.stepSize = stepSize;
+    this.factor = factor;
+  }
+
+  getRate(baseRate, t) {
+    return baseRate * Math.pow(this.factor, Math.floor(t / this.stepSize));
+  }
+}
+
+/**
+ * @class ExponentialDecaySchedule
+ * @extends LearningRateSchedule
+ * @classdesc Décroissance exponentielle continue : η(t) = η₀ · decayRate^(t / decaySteps)
+ */
+class ExponentialDecaySchedule extends LearningRateSchedule {
+  /**
+   * @param {{decayRate?: number, decaySteps?: number, per?: string}} [params]
+   */
+  constructor({ decayRate = 0.96, decaySteps = 1, ...params } = {}) {
+    super("exponential", params);
+    this.decayRate = decayRate;
+    this.decaySteps = decaySteps;
+  }
+
+  getRate(baseRate, t) {
+    return baseRate * Math.pow(this.decayRate, t / this.decaySteps);
+  }
+}
+
+/**
+ * @class CosineAnnealingSchedule
+ * @extends LearningRateSchedule
+ * @classdesc Recuit cosinus : le taux descend de η₀ à `minRate` en suivant une demi-période de cosinus,
+ * puis reste à `minRate`.
+ * η(t) = minRate + (η₀ - minRate) · (1 + cos(π · min(t, period) / period)) / 2
+ */
+class CosineAnnealingSchedule extends LearningRateSchedule {
+  /**
+   * @param {{period?: number, minRate?: number, per?: string}} [params]
+   */
+  constructor({ period = 100, minRate = 0, ...params } = {}) {
+    super("cosine", params);
+    this.period = period;
+    this.minRate = minRate;
+  }
+
+  getRate(baseRate, t) {
+    const progress = Math.min(t, this.period) / this.period;
+    return this.minRate + (baseRate - this.minRate) * (1 + Math.cos(Math.PI * progress)) / 2;
+  }
+}
+
+/**
+ * @class LinearWarmupSchedule
+ * @extends LearningRateSchedule
+ * @classdesc Montée linéaire du taux pendant `warmup` unités, puis délégation à un autre planning
+ * (constant par défaut) dont le compteur repart de 0.
+ * η(t) = η₀ · (t + 1) / warmup pour t < warmup
+ *
+ * Les deux phases partagent le même compteur : le planning suivant reprend l'unité (`per`) du warmup
+ * s'il n'en précise pas, et une unité différente est refusée.
+ * Ex: { type: "warmup", per: "step", warmup: 100, then: { type: "stepDecay", stepSize: 500 } }
+ */
+class LinearWarmupSchedule extends LearningRateSchedule {
+  /**
+   * @param {{warmup?: number, then?: LearningRateSchedule|string|object, per?: string}} [params]
+   */
+  constructor({ warmup = 5, then = null, ...params } = {}) {
+    super("warmup", params);
+    this.warmup = warmup;
+
+    const spec = typeof then === 'string' ? { type: then } : (then ?? { type: "constant" });
+    this.then = spec instanceof LearningRateSchedule ? spec : LearningRateSchedule.from({ per: this.per, ...spec });
+    if (this.then.per !== this.per) {
+      throw new Error(`Le planning qui suit le warmup compte par "${this.then.per}" alors que le warmup compte par ` +
+        `"${this.per}" : donner la même unité (per) aux deux.`);
+    }
+  }
+
+  getRate(baseRate, t) {
+    if (t < this.warmup) {
+      return baseRate * (t + 1) / this.warmup;
+    }
+    return this.then.getRate(baseRate, t - this.warmup);
+  }
+}
+
+/**
+ * Registre des plannings de taux d'apprentissage disponibles, indexés par leur identifiant.
+ */
+const LearningRateSchedules = {
+  constant: ConstantSchedule,
+  stepDecay: StepDecaySchedule,
+  exponential: ExponentialDecaySchedule,
+  cosine: CosineAnnealingSchedule,
+  warmup: LinearWarmupSchedule
+};
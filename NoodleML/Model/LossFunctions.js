@@ -0,0 +1,74 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+const LOSS_EPSILON = 1e-12; // Évite log(0) et les divisions par 0
+const HUBER_DELTA = 1.0;    // Seuil entre la zone quadratique et la zone linéaire de Huber
+
+/**
+ * Registre des fonctions de perte (erreur) utilisées par la rétropropagation.
+ *
+ * Chaque entrée travaille sur le vecteur complet de sortie du réseau :
+ * - f(output, target) : valeur de la perte pour un échantillon
+ * - df(output, target) : gradient de la perte par rapport à chaque sortie
+ * - pairedActivation (optionnel) : activation de sortie avec laquelle le gradient se simplifie
+ *   en (sortie - cible). Le réseau utilise alors directement cette forme, plus stable numériquement.
+ */
+const LossFunctions = {
+    mse: {
+        name: "MSE", // ½·Σ(a - t)² : le ½ donne le gradient historique (a - t)
+        f: (output, target) => output.reduce((s, a, i) => s + 0.5 * (a - target[i]) ** 2, 0),
+        df: (output, target) => output.map((a, i) => a - target[i])
+    },
+    binaryCrossEntropy: {
+        name: "binaryCrossEntropy",
+        f: (output, target) => output.reduce((s, a, i) => {
+            const p = Math.min(1 - LOSS_EPSILON, Math.max(LOSS_EPSILON, a));
+            return s - (target[i] * Math.log(p) + (1 - target[i]) * Math.log(1 - p));
+        }, 0),
+        df: (output, target) => output.map((a, i) => {
+            const p = Math.min(1 - LOSS_EPSILON, Math.max(LOSS_EPSILON, a));
+            return (p - target[i]) / (p * (1 - p));
+        }),
+        pairedActivation: "sigmoid"
+    },
+    softmaxCrossEntropy: {
+        name: "softmaxCrossEntropy", // Entropie croisée catégorielle sur des sorties de type probabilité
+        f: (output, target) => output.reduce(
+            (s, a, i) => s - target[i] * Math.log(Math.max(LOSS_EPSILON, a)), 0),
+        df: (output, target) => output.map((a, i) => -target[i] / Math.max(LOSS_EPSILON, a)),
+        pairedActivation: "softmax"
+    },
+    huber: {
+        name: "huber", // Quadratique près de la cible, linéaire au-delà de HUBER_DELTA (robuste aux valeurs aberrantes)
+        f: (output, target) => output.reduce((s, a, i) => {
+            const e = Math.abs(a - target[i]);
+            return s + (e <= HUBER_DELTA ? 0.5 * e * e : HUBER_DELTA * (e - 0.5 * HUBER_DELTA));
+        }, 0),
+        df: (output, target) => output.map((a, i) => Math.max(-HUBER_DELTA, Math.min(HUBER_DELTA, a - target[i])))
+    }
+};
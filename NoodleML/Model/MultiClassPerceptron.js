@@ -0,0 +1,207 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * @class MultiClassPerceptron
+ * @classdesc Perceptron multi-classes (construction de Kesler) : un vecteur de poids et un biais par classe,
+ * la classe prédite est celle dont le score wₖ·x + bₖ est le plus élevé (argmax).
+ *
+ * En cas d'erreur sur un exemple de classe y prédit en classe p, la règle d'apprentissage rapproche
+ * les poids de la bonne classe de l'entrée et en éloigne ceux de la classe prédite à tort :
+ * wᵧ ← wᵧ + η·x et wₚ ← wₚ - η·x (même chose pour les biais).
+ * Avec deux classes, on retrouve exactement le perceptron simple.
+ *
+ * @example
+ * const { inputs, labels } = Datasets.blobs();
+ * const perceptron = new MultiClassPerceptron(2, 3);
+ * perceptron.fit(inputs.map((x, i) => ({ x, y: labels[i] })), 50);
+ * perceptron.predict([0.5, 0.8]); // 2
+ */
+class MultiClassPerceptron {
+  /**
+   * Crée un perceptron multi-classes aux poids aléatoires dans [-1, 1].
+   *
+   * @param {number} inputSize - Nombre d'entrées.
+   * @param {number} classCount - Nombre de classes (labels entiers de 0 à classCount - 1).
+   * @param {number} [learningRate=0.1] - Taux d'apprentissage.
+   */
+  constructor(inputSize, classCount, learningRate = 0.1) {
+    if (!Number.isInteger(classCount) || classCount < 2) {
+      throw new Error("Le nombre de classes doit être un entier supérieur ou égal à 2.");
+    }
+    this.inputSize = inputSize;
+    this.classCount = classCount;
+    this.learningRate = learningRate;
+    this.name = "MultiClassPerceptron";
+    this.reset();
+  }
+
+  /**
+   * Réinitialise les poids et les biais de chaque classe avec des valeurs aléatoires.
+   */
+  reset() {
+    this.weights = Array.from({ length: this.classCount },
+      () => Array.from({ length: this.inputSize }, () => Initializers.uniform.f()));
+    this.biases = Array.from({ length: this.classCount }, () => Initializers.uniform.f());
+  }
+
+  /**
+   * Calcule le score de chaque classe : sₖ = wₖ·x + bₖ.
+   *
+   * @param {number[]} input - Vecteur d'entrée.
+   * @returns {number[]} Un score par classe.
+   */
+  scores(input) {
+    return this.weights.map((weights, k) => {
+      let sum = this.biases[k];
+      for (let i = 0; i < weights.length; i++) {
+        sum += weights[i] * input[i];
+      }
+      return sum;
+    });
+  }
+
+  /**
+   * Prédit la classe d'une entrée (indice du score le plus élevé).
+   *
+   * @param {number[]} input - Vecteur d'entrée.
+   * @returns {number} Indice de la classe prédite.
+   */
+  predict(input) {
+    return NeuralNetwork.argmax(this.scores(input));
+  }
+
+  /**
+   * Alias de `predict()`, pour offrir la même interface que `NeuralNetwork.predictClass()` (ex: `DecisionRegionView`).
+   *
+   * @param {number[]} input - Vecteur d'entrée.
+   * @returns {number} Indice de la classe prédite.
+   */
+  predictClass(input) {
+    return this.predict(input);
+  }
+
+  /**
+   * Applique la règle du perceptron multi-classes sur un exemple.
+   * Les poids ne changent pas si la classe prédite est la bonne.
+   *
+   * @param {number[]} input - Vecteur d'entrée.
+   * @param {number} label - Classe attendue (entier de 0 à classCount - 1).
+   */
+  train(input, label) {
+    const prediction = this.predict(input);
+    if (prediction === label) {
+      return;
+    }
+
+    const target = this.weights[label];
+    const wrong = this.weights[prediction];
+    for (let i = 0; i < input.length; i++) {
+      target[i] += this.learningRate * input[i];
+      wrong[i] -= this.learningRate * input[i];
+    }
+    this.biases[label] += this.learningRate;
+    this.biases[prediction] -= this.learningRate;
+  }
+
+  /**
+   * Entraîne le perceptron sur un ensemble d'exemples étiquetés par des classes entières.
+   *
+   * @param {Array<{x: number[], y: number}>} data - Exemples, `y` étant l'indice de la classe attendue.
+   * @param {number} [epochs=20] - Nombre de passages complets sur l'ensemble de données.
+   * @param {boolean} [shuffle=true] - Mélange l'ordre des exemples à chaque epoch.
+   *
+   * @note Comme pour le perceptron simple, l'algorithme ne converge que si les classes
+   *       sont linéairement séparables.
+   */
+  fit(data, epochs = 20, shuffle = true) {
+    MultiClassPerceptron.checkLabels(data, this.classCount);
+    data = [...data];
+    for (let e = 0; e < epochs; e++) {
+      if (shuffle) {
+        Random.shuffle(data);
+      }
+      for (const { x, y } of data) {
+        this.train(x, y);
+      }
+    }
+  }
+
+  /**
+   * Retourne une copie des poids (une ligne par classe).
+   * @returns {number[][]}
+   */
+  getWeights() {
+    return this.weights.map(weights => [...weights]);
+  }
+
+  /**
+   * Retourne une copie des biais (un par classe).
+   * @returns {number[]}
+   */
+  getBiases() {
+    return [...this.biases];
+  }
+
+  /**
+   * Remplace les poids de toutes les classes.
+   * @param {number[][]} weights - Une ligne de inputSize poids par classe.
+   */
+  setWeights(weights) {
+    if (weights.length !== this.classCount || weights.some(row => row.length !== this.inputSize)) {
+      throw new Error(`Les poids doivent former une matrice ${this.classCount} x ${this.inputSize}.`);
+    }
+    this.weights = weights.map(row => [...row]);
+  }
+
+  /**
+   * Remplace les biais de toutes les classes.
+   * @param {number[]} biases - Un biais par classe.
+   */
+  setBiases(biases) {
+    if (biases.length !== this.classCount) {
+      throw new Error(`Il faut un biais par classe (${this.classCount}).`);
+    }
+    this.biases = [...biases];
+  }
+
+  /**
+   * Vérifie que chaque exemple porte un label entier compris entre 0 et classCount - 1.
+   *
+   * @param {Array<{x: number[], y: number}>} data 
+   * @param {number} classCount 
+   * @throws {Error} Si un label est invalide.
+   */
+  static checkLabels(data, classCount) {
+    const invalid = data.find(({ y }) => !Number.isInteger(y) || y < 0 || y >= classCount);
+    if (invalid) {
+      throw new Error(`Label invalide (${invalid.y}) : les classes doivent être des entiers de 0 à ${classCount - 1}.`);
+    }
+  }
+}
@@ -43,7 +43,7 @@ class NeuralConnection {
         this.from = from;
 
         /** @type {number} Poids de la connexion */
-        this.weight = weight !== null ? weight : (Math.random() * 2 - 1);
+        this.weight = weight !== null ? weight : Initializers.uniform.f();
     }
 
     /**
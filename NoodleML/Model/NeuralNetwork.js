@@ -31,43 +31,179 @@
  * @classdesc Implémentation d’un réseau de neurones multicouche avec rétropropagation.
  */
 class NeuralNetwork {
+  /** Identifiant du format de fichier des modèles NoodleML. */
+  static FORMAT = "noodleml-network";
+
+  /** Version courante du format de fichier produit par `toJSON()`. */
+  static FORMAT_VERSION = 2;
+
   /**
    * Crée un réseau de neurones à partir des tailles des couches.
-   * @param layerSizes - Ex: (2, 4, 1) = 2 entrées, 1 couche cachée de 4, 1 sortie
+   * @param {Array<number|object>} layerSizes - Ex: [2, 4, 1] = 2 entrées, 1 couche cachée de 4, 1 sortie.
+   * Chaque couche peut aussi être décrite par un objet qui surcharge les paramètres communs :
+   * `{ size, activation?, initializer?, biasInitializer?, learningRateMultiplier?, l1?, l2?, dropout?, connectivity? }`
+   * (ex: `[{ size: 2 }, { size: 4, activation: 'relu' }, { size: 1, activation: 'sigmoid' }]`).
+   * Seul `size` est lu pour la couche d'entrée.
+   * @param {string[]} [inputNames] - Noms des entrées.
+   * @param {string[]} [outputNames] - Noms des sorties.
+   * @param {number} [learningRate=0.1] - Taux d'apprentissage.
+   * @param {object|string} [activation=ActivationFunctions.sigmoid] - Activation par défaut des couches (entrée ou clé
+   * de `ActivationFunctions`).
+   * @param {object} [options] - Options avancées.
+   * @param {Optimizer|string|object} [options.optimizer="sgd"] - Optimiseur utilisé par la rétropropagation (voir `Optimizers`).
+   * @param {string|object} [options.loss="mse"] - Fonction de perte (clé ou entrée de `LossFunctions`).
+   * @param {object} [options.outputActivation] - Activation de la couche de sortie si elle diffère de `activation`
+   * (ex: `ActivationFunctions.softmax` avec la perte "softmaxCrossEntropy").
+   * @param {{l1?: number, l2?: number}} [options.regularization] - Pénalités L1/L2 appliquées aux poids de toutes les couches.
+   * @param {number} [options.dropout=0] - Taux de dropout appliqué aux sorties de toutes les couches cachées.
+   * @param {string|object|function|Array} [options.initializer="uniform"] - Initialisation des poids (voir `Initializers`),
+   * commune à toutes les couches ou donnée couche par couche sous forme de tableau.
+   * @param {string|object|function|Array} [options.biasInitializer] - Initialisation des biais ("zeros" par défaut
+   * lorsqu'un initialiseur de poids est fourni, sinon "uniform" comme historiquement).
+   * @param {Array<boolean[][]|null>} [options.connectivity] - Masques de connectivité par couche pour construire
+   * des couches creuses : mask[j][i] vrai si le neurone j de la couche est relié à l'entrée i (null = couche dense).
+   * @param {RandomGenerator|number} [options.rng=Random] - Générateur aléatoire propre au réseau, ou graine
+   * pour en créer un (initialisation, mélange des exemples, dropout). Par défaut, le générateur partagé `Random`.
    */
-  constructor(layerSizes, inputNames = null, outputNames = null, learningRate = 0.1, activation = ActivationFunctions.sigmoid) {
+  constructor(layerSizes, inputNames = null, outputNames = null, learningRate = 0.1, activation = ActivationFunctions.sigmoid, options = {}) {
 
     if (!Array.isArray(layerSizes) || layerSizes.length < 2) {
       throw new Error("layerSizes doit être un tableau avec au moins deux éléments.");
     }
 
-    if (layerSizes.some(size => typeof size !== 'number' || size <= 0)) {
-      throw new Error("Chaque élément de layerSizes doit être un nombre entier positif.");
+    const specs = layerSizes.map(spec => typeof spec === 'number' ? { size: spec } : spec);
+    if (specs.some(spec => typeof spec?.size !== 'number' || spec.size <= 0)) {
+      throw new Error("Chaque élément de layerSizes doit être un nombre entier positif ou un objet { size }.");
     }
+    specs.forEach(spec => NeuralNetwork.checkLearningRateMultiplier(spec.learningRateMultiplier ?? 1));
+    layerSizes = specs.map(spec => spec.size);
 
-    this.activation = activation;
-    this.layerSizes = layerSizes;
+    this.rng = typeof options.rng === 'number' ? new RandomGenerator(options.rng) : (options.rng ?? Random);
+    this.activation = NeuralNetwork.resolveActivation(activation);
+    this.layerSizes = [...layerSizes];
     this.learningRate = learningRate;
+    this.currentLearningRate = learningRate; // Taux effectif, éventuellement modifié par un planning pendant train()
+    this.optimizer = Optimizer.from(options.optimizer);
+    this.setLoss(options.loss ?? LossFunctions.mse);
     this.layers = [];
+    this.layerConfigs = []; // Régularisation par couche : { l1, l2, dropout }, parallèle à this.layers
+    this.matrices = [];     // Représentation dense (LayerMatrix) de chaque couche, construite à la demande
+    this.training = false;  // Mode entraînement (dropout actif) ou inférence
+    this.epoch = 0;         // Epochs et mises à jour des poids cumulées sur tous les appels de train()
+    this.step = 0;
+    this.metadata = { createdAt: new Date().toISOString() }; // Informations libres sauvegardées avec le modèle
 
     // Initialiser inputNames à une valeur par défaut si elle est null
     this.inputNames = inputNames || [];
     this.outputNames = outputNames || [];
 
     for (let l = 1; l < layerSizes.length; l++) {
+      const spec = specs[l];
       const inputSize = layerSizes[l - 1];
       const count = layerSizes[l];
       const layer = [];
       const layerPrefix = String.fromCharCode(64 + l); // A = 65, B = 66, etc.
+      const layerActivation = spec.activation ? NeuralNetwork.resolveActivation(spec.activation) : this.activation;
+      const initializer = spec.initializer ?? NeuralNetwork.layerOption(options.initializer, l - 1);
+      const biasInitializer = spec.biasInitializer ?? NeuralNetwork.layerOption(options.biasInitializer, l - 1);
+
+      const mask = spec.connectivity ?? NeuralNetwork.layerOption(options.connectivity, l - 1);
+      if (mask) {
+        NeuralNetwork.checkConnectivity(mask, count, inputSize);
+      }
 
       for (let i = 0; i < count; i++) {
-        const neuron = new Neuron(inputSize, learningRate, activation);
+        const neuron = new Neuron(inputSize, learningRate, layerActivation, [], null); // Initialisé par initializeLayer
+        if (mask) {
+          neuron.connections = NeuralNetwork.maskToConnections(mask[i]);
+        }
         neuron.name = `${layerPrefix}${i + 1}`; // Exemple : A1, A2, B1...
         layer.push(neuron);
       }
 
       this.layers.push(layer);
+      this.initializeLayer(l - 1,
+        initializer ?? Initializers.uniform,
+        biasInitializer ?? (initializer ? Initializers.zeros : Initializers.uniform));
+      this.layerConfigs.push({
+        l1: spec.l1 ?? options.regularization?.l1 ?? 0,
+        l2: spec.l2 ?? options.regularization?.l2 ?? 0,
+        dropout: l < layerSizes.length - 1 ? (spec.dropout ?? options.dropout ?? 0) : 0,
+        learningRateMultiplier: spec.learningRateMultiplier ?? 1
+      });
+    }
+
+    if (options.outputActivation) {
+      this.setLayerActivation(-1, options.outputActivation);
+    }
+  }
+
+  /**
+   * (Ré)initialise les poids et biais d'une couche.
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @param {string|object|function} [initializer="uniform"] - Initialiseur des poids (voir `Initializers`).
+   * @param {string|object|function} [biasInitializer="zeros"] - Initialiseur des biais.
+   */
+  initializeLayer(index, initializer = Initializers.uniform, biasInitializer = Initializers.zeros) {
+    const layer = this.layers.at(index);
+    if (!layer) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+
+    const weightInit = resolveInitializer(initializer);
+    const biasInit = resolveInitializer(biasInitializer);
+    const fanOut = layer.length;
+
+    for (const neuron of layer) {
+      const fanIn = neuron.connections.length;
+      neuron.connections.forEach(conn => conn.weight = weightInit.f(fanIn, fanOut, this.rng));
+      neuron.setBias(biasInit.f(fanIn, fanOut, this.rng));
+    }
+  }
+
+  /**
+   * Rend une couche creuse (ou dense) à partir d'un masque de connectivité.
+   * Les connexions conservées gardent leur poids et l'état de leur optimiseur ; les nouvelles connexions
+   * sont initialisées avec `initializer`.
+   *
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @param {boolean[][]} mask - mask[j][i] vrai si le neurone j est relié à l'entrée i de la couche.
+   * @param {string|object|function} [initializer="uniform"] - Initialiseur des nouvelles connexions.
+   */
+  setLayerConnectivity(index, mask, initializer = Initializers.uniform) {
+    const layer = this.layers.at(index);
+    if (!layer) {
+      throw new Error(`Couche ${index} inexistante.`);
     }
+    const l = index < 0 ? this.layers.length + index : index;
+    const inputSize = this.layerSizes[l];
+    NeuralNetwork.checkConnectivity(mask, layer.length, inputSize);
+
+    const weightInit = resolveInitializer(initializer);
+    layer.forEach((neuron, j) => {
+      const fanIn = mask[j].filter(Boolean).length;
+      neuron.connections = NeuralNetwork.maskToConnections(mask[j]).map(conn =>
+        neuron.connections.find(c => c.index === conn.index)
+          ?? { index: conn.index, weight: weightInit.f(fanIn, layer.length, this.rng) });
+    });
+  }
+
+  /**
+   * Retourne le masque de connectivité d'une couche.
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @returns {boolean[][]} mask[j][i] vrai si le neurone j est relié à l'entrée i.
+   */
+  getLayerConnectivity(index) {
+    const layer = this.layers.at(index);
+    if (!layer) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+    const l = index < 0 ? this.layers.length + index : index;
+    return layer.map(neuron => {
+      const row = new Array(this.layerSizes[l]).fill(false);
+      neuron.connections.forEach(conn => row[conn.index] = true);
+      return row;
+    });
   }
 
   /**
@@ -83,6 +219,21 @@ class NeuralNetwork {
     };
   }
 
+  /**
+   * Retourne la représentation dense (tableaux typés) d'une couche, liée à ses neurones.
+   * Elle est reconstruite automatiquement lorsque la topologie de la couche a changé.
+   * @param {number} l - Indice de la couche (0 = première cachée).
+   * @returns {LayerMatrix}
+   */
+  getLayerMatrix(l) {
+    const layer = this.layers[l];
+    let matrix = this.matrices[l];
+    if (!matrix || !matrix.isBoundTo(layer, this.layerSizes[l])) {
+      matrix = this.matrices[l] = LayerMatrix.fromNeurons(layer, this.layerSizes[l]);
+    }
+    return matrix;
+  }
+
   /**
    * Calcule la sortie du réseau pour une entrée donnée.
    * @param {number[]} input 
@@ -90,178 +241,1076 @@ class NeuralNetwork {
    */
   predict(input) {
     let a = input;
-    for (const layer of this.layers) {
-      a = layer.map(n => n.predict(a));
+    for (let l = 0; l < this.layers.length; l++) {
+      a = this.activateLayer(this.layers[l], this.getLayerMatrix(l).forward(a));
+    }
+    return Array.from(a);
+  }
+
+  /**
+   * Calcule les sorties du réseau pour tout un lot d'entrées en un seul appel (ex: une grille de pixels).
+   * @param {number[][]|Float64Array} inputs - Tableau d'entrées, ou tableau plat rangé ligne par ligne.
+   * @returns {Float64Array} Sorties rangées ligne par ligne : `result[n * nbSorties + k]` est la sortie k de l'entrée n.
+   */
+  predictBatch(inputs) {
+    let a = LayerMatrix.toBatch(inputs, this.layerSizes[0]);
+    const count = a.length / this.layerSizes[0];
+
+    for (let l = 0; l < this.layers.length; l++) {
+      const layer = this.layers[l];
+      const zs = this.getLayerMatrix(l).forwardBatch(a, count);
+      const activation = NeuralNetwork.getLayerActivation(layer);
+
+      for (let n = 0, offset = 0; n < count; n++, offset += layer.length) {
+        if (activation) {
+          zs.set(activation.f(Array.from(zs.subarray(offset, offset + layer.length))), offset);
+        } else {
+          for (let j = 0; j < layer.length; j++) {
+            zs[offset + j] = layer[j].activate(zs[offset + j]);
+          }
+        }
+      }
+      a = zs;
     }
     return a;
   }
 
   /**
-   * Fonction d'entraînement global (par échantillons)
+   * Retourne l'indice de la sortie la plus activée (classe prédite en classification multi-classes).
+   * @param {number[]} input 
+   * @returns {number}
+   */
+  predictClass(input) {
+    return NeuralNetwork.argmax(this.predict(input));
+  }
+
+  /**
+   * Applique les fonctions d'activation d'une couche à ses sommes pondérées.
+   * Une activation de couche (softmax) reçoit le vecteur z complet, les autres sont appliquées neurone par neurone.
+   *
+   * @param {Neuron[]} layer 
+   * @param {Float64Array} zs - Sommes pondérées (biais inclus) de chaque neurone de la couche.
+   * @returns {Float64Array} Sorties activées de la couche.
+   */
+  activateLayer(layer, zs) {
+    const activation = NeuralNetwork.getLayerActivation(layer);
+    if (activation) {
+      return Float64Array.from(activation.f(Array.from(zs)));
+    }
+    const as = new Float64Array(zs.length);
+    for (let i = 0; i < zs.length; i++) {
+      as[i] = layer[i].activate(zs[i]);
+    }
+    return as;
+  }
+
+  /**
+   * Calcule les deltas (∂E/∂z) d'une couche à partir du gradient de l'erreur par rapport à ses sorties.
+   * Pour une activation de couche, le gradient est propagé à travers la jacobienne complète.
+   *
+   * @param {Neuron[]} layer 
+   * @param {Float64Array} zs - Sommes pondérées de la couche.
+   * @param {Float64Array} as - Sorties activées de la couche.
+   * @param {Float64Array} dA - Gradient de l'erreur par rapport aux sorties (∂E/∂a).
+   * @returns {Float64Array} ∂E/∂z pour chaque neurone.
+   */
+  layerDelta(layer, zs, as, dA) {
+    const activation = NeuralNetwork.getLayerActivation(layer);
+    if (activation) {
+      const jacobian = activation.jacobian(Array.from(as));
+      return as.map((_, j) => dA.reduce((sum, g, i) => sum + g * jacobian[i][j], 0));
+    }
+    return dA.map((g, i) => g * layer[i].activation.df(zs[i]));
+  }
+
+  /**
+   * Fonction d'entraînement global.
+   *
+   * Les gradients sont accumulés sur `batchSize` échantillons puis moyennés avant une seule mise à jour :
+   * - batchSize = 1 : descente de gradient stochastique (une mise à jour par échantillon)
+   * - 1 < batchSize < inputs.length : mini-batch
+   * - batchSize >= inputs.length (ou Infinity) : full-batch (une mise à jour par epoch)
+   *
    * @param {number[][]} inputs 
    * @param {number[][]} targets 
    * @param {number} epochs 
    * @param {number} lr 
+   * @param {object} [options] - Options d'entraînement.
+   * @param {Optimizer|string|object} [options.optimizer] - Remplace l'optimiseur du réseau (son état est alors
+   * réinitialisé), sauf s'il a le même type et les mêmes hyperparamètres (voir `setOptimizer()`).
+   * @param {number} [options.batchSize=1] - Nombre d'échantillons par mise à jour des poids.
+   * @param {boolean} [options.shuffle=true] - Mélange l'ordre des échantillons à chaque epoch.
+   * @param {string|object} [options.loss] - Remplace la fonction de perte du réseau.
+   * @param {Object<string, function(number[], number[]): number>} [options.metrics] - Métriques supplémentaires
+   * (output, target) => valeur, moyennées sur chaque epoch et ajoutées à l'historique sous leur nom.
+   * @param {function(number, object): (void|boolean)} [options.onEpochEnd] - Appelé après chaque epoch avec
+   * (indice de l'epoch, mesures de l'epoch). Retourner `false` arrête l'entraînement.
+   * @param {function(number, object): (void|boolean)} [options.onBatchEnd] - Appelé après chaque mise à jour avec
+   * (indice du batch dans l'epoch, { loss, size }). Retourner `false` arrête l'entraînement.
+   * @param {{aborted: boolean}} [options.signal] - Signal d'arrêt (ex: `AbortController.signal`).
+   * @param {number} [options.validationSplit=0] - Fraction (0..1) des derniers échantillons réservée à la validation.
+   * @param {{inputs: number[][], targets: number[][]}} [options.validationData] - Jeu de validation explicite
+   * (prioritaire sur `validationSplit`).
+   * @param {object} [options.earlyStopping] - Arrêt anticipé lorsque la mesure surveillée ne s'améliore plus.
+   * @param {string} [options.earlyStopping.monitor] - Mesure surveillée ("valLoss" par défaut s'il y a une validation, sinon "loss").
+   * @param {number} [options.earlyStopping.patience=10] - Nombre d'epochs sans amélioration avant l'arrêt.
+   * @param {number} [options.earlyStopping.minDelta=0] - Amélioration minimale pour être prise en compte.
+   * @param {boolean} [options.earlyStopping.restoreBestWeights=true] - Restaure les poids de la meilleure epoch en fin d'entraînement.
+   * @param {LearningRateSchedule|string|object} [options.learningRateSchedule] - Planning du taux d'apprentissage
+   * (voir `LearningRateSchedules`), interrogé à chaque epoch ou à chaque mise à jour à partir du taux `lr`.
+   * Le planning suit les compteurs cumulés du réseau (`epoch`, `step`) : entraîner en plusieurs appels courts
+   * poursuit la décroissance au lieu de la recommencer.
+   * @returns {{ epochs: number, loss: number[], accuracy: number[] }} Historique : une valeur par epoch
+   * pour la perte, l'exactitude, le taux d'apprentissage (learningRate) et chaque métrique fournie
+   * (mesurées avant chaque mise à jour), ainsi que leurs équivalents de validation préfixés par "val" (valLoss, valAccuracy...) mesurés en fin d'epoch.
+   * Avec l'arrêt anticipé, `bestEpoch` et `stoppedEpoch` indiquent la meilleure epoch et celle de l'arrêt, comptées
+   * depuis le début de cet appel : ce sont des indices des tableaux de l'historique (ex: `history.loss[history.bestEpoch]`).
+   * @throws {Error} Si `earlyStopping.monitor` ne désigne aucune mesure de l'historique (vérifié avant la première epoch).
    */
-  train(inputs, targets, epochs, lr = 0.1) {
+  train(inputs, targets, epochs, lr = 0.1, options = {}) {
+    const { batchSize = 1, shuffle = true, metrics = {}, onEpochEnd, onBatchEnd, signal, validationSplit = 0 } = options;
+
+    if (!(batchSize >= 1)) {
+      throw new Error("batchSize doit être supérieur ou égal à 1.");
+    }
+    if (!(validationSplit >= 0 && validationSplit < 1)) {
+      throw new Error("validationSplit doit être compris dans [0, 1[.");
+    }
+
+    // -------- JEU DE VALIDATION --------
+    let validation = options.validationData ?? null;
+    if (!validation && validationSplit > 0) {
+      const trainCount = Math.floor(inputs.length * (1 - validationSplit));
+      if (trainCount < 1 || trainCount >= inputs.length) {
+        throw new Error("validationSplit laisse un jeu d'entraînement ou de validation vide.");
+      }
+      validation = { inputs: inputs.slice(trainCount), targets: targets.slice(trainCount) };
+      inputs = inputs.slice(0, trainCount);
+      targets = targets.slice(0, trainCount);
+    }
+
+    // -------- ARRÊT ANTICIPÉ --------
+    const earlyStopping = options.earlyStopping ? {
+      monitor: validation ? "valLoss" : "loss",
+      patience: 10,
+      minDelta: 0,
+      restoreBestWeights: true,
+      ...options.earlyStopping
+    } : null;
+    // Les mesures d'exactitude s'améliorent en augmentant, les pertes en diminuant
+    const sign = earlyStopping && /accuracy/i.test(earlyStopping.monitor) ? -1 : 1;
+    let best = Infinity;
+    let bestParameters = null;
+    let wait = 0;
+
     this.learningRate = lr;
-    for (let e = 0; e < epochs; e++) {
-      for (let i = 0; i < inputs.length; i++) {
-        this.backpropagate(inputs[i], targets[i]);
+    this.currentLearningRate = lr;
+    const schedule = LearningRateSchedule.from(options.learningRateSchedule);
+
+    if (options.optimizer) {
+      this.setOptimizer(options.optimizer);
+    }
+    if (options.loss) {
+      this.setLoss(options.loss);
+    }
+
+    const allMetrics = { accuracy: NeuralNetwork.accuracy, ...metrics };
+    const history = { epochs: 0, loss: [], learningRate: [] };
+    Object.keys(allMetrics).forEach(name => history[name] = []);
+    if (validation) {
+      ["loss", ...Object.keys(allMetrics)].forEach(name => history[NeuralNetwork.validationKey(name)] = []);
+    }
+    if (earlyStopping && (!Array.isArray(history[earlyStopping.monitor]) || earlyStopping.monitor === "learningRate")) {
+      throw new Error(`Mesure surveillée inconnue : ${earlyStopping.monitor}`);
+    }
+
+    const order = inputs.map((_, i) => i);
+    const size = Math.min(Math.floor(batchSize), inputs.length) || 1;
+    this.stopRequested = false;
+    this.training = true;
+
+    try {
+      for (let e = 0; e < epochs && !this.isStopRequested(signal); e++) {
+        let epochLoss = 0;
+        let seen = 0; // Échantillons traités (inférieur à inputs.length si l'epoch est interrompue)
+        const metricSums = Object.fromEntries(Object.keys(allMetrics).map(name => [name, 0]));
+
+        if (shuffle) {
+          this.rng.shuffle(order);
+        }
+
+        if (schedule.per === "epoch") {
+          this.currentLearningRate = schedule.getRate(lr, this.epoch);
+        }
+        let rateSum = 0;
+        let batches = 0;
+
+        for (let start = 0, b = 0; start < order.length; start += size, b++) {
+          const batch = order.slice(start, start + size);
+          let gradients = null;
+
+          if (schedule.per === "step") {
+            this.currentLearningRate = schedule.getRate(lr, this.step);
+          }
+          this.step++;
+          batches++;
+          rateSum += this.currentLearningRate;
+
+          for (const i of batch) {
+            const g = this.computeGradients(inputs[i], targets[i]);
+            epochLoss += g.loss;
+            seen++;
+            for (const name in allMetrics) {
+              metricSums[name] += allMetrics[name](g.output, targets[i]);
+            }
+            gradients = gradients ? NeuralNetwork.addGradients(gradients, g) : g;
+          }
+
+          this.applyGradients(gradients, 1 / batch.length);
+
+          if (onBatchEnd?.(b, { loss: gradients.loss / batch.length, size: batch.length, learningRate: this.currentLearningRate }) === false) {
+            this.stopTraining();
+          }
+          if (this.isStopRequested(signal)) {
+            break;
+          }
+        }
+
+        this.epoch++;
+        this.loss = epochLoss / seen + this.regularizationLoss();
+
+        // Taux moyen de l'epoch (identique au taux courant pour un planning par epoch)
+        const logs = { epoch: this.epoch, loss: this.loss, learningRate: rateSum / batches };
+        for (const name in allMetrics) {
+          logs[name] = metricSums[name] / seen;
+          history[name].push(logs[name]);
+        }
+        history.loss.push(this.loss);
+        history.learningRate.push(logs.learningRate);
+        history.epochs++;
+
+        if (validation) {
+          const measures = this.evaluateMetrics(validation.inputs, validation.targets, allMetrics);
+          for (const name in measures) {
+            const key = NeuralNetwork.validationKey(name);
+            logs[key] = measures[name];
+            history[key].push(measures[name]);
+          }
+        }
+
+        if (earlyStopping) {
+          const value = sign * logs[earlyStopping.monitor];
+          if (value < best - earlyStopping.minDelta) {
+            best = value;
+            wait = 0;
+            history.bestEpoch = e;
+            if (earlyStopping.restoreBestWeights) {
+              bestParameters = this.getParameters();
+            }
+          } else if (++wait >= earlyStopping.patience) {
+            history.stoppedEpoch = e;
+            this.stopTraining();
+          }
+        }
+
+        if (onEpochEnd?.(e, logs) === false) {
+          this.stopTraining();
+        }
       }
+    } finally {
+      this.training = false; // Même si un callback lève une exception : le dropout ne doit pas rester actif
+    }
+
+    if (bestParameters && history.bestEpoch !== history.epochs - 1) {
+      this.setParameters(bestParameters);
     }
+
+    this.history = history;
+    return history;
   }
 
+  /**
+   * Calcule la perte moyenne et la moyenne de chaque métrique sur un jeu de données, sans l'entraîner.
+   * @param {number[][]} inputs 
+   * @param {number[][]} targets 
+   * @param {Object<string, function(number[], number[]): number>} [metrics] - Métriques (output, target) => valeur.
+   * @returns {Object<string, number>} Ex: { loss: 0.02, accuracy: 1 }
+   */
+  evaluateMetrics(inputs, targets, metrics = { accuracy: NeuralNetwork.accuracy }) {
+    const sums = { loss: 0 };
+    Object.keys(metrics).forEach(name => sums[name] = 0);
+
+    for (let i = 0; i < inputs.length; i++) {
+      const output = this.predict(inputs[i]);
+      sums.loss += this.lossFunction.f(output, targets[i]);
+      for (const name in metrics) {
+        sums[name] += metrics[name](output, targets[i]);
+      }
+    }
+
+    for (const name in sums) {
+      sums[name] /= inputs.length;
+    }
+    sums.loss += this.regularizationLoss();
+    return sums;
+  }
+
+  /**
+   * Retourne une copie des poids et biais de tous les neurones.
+   * @returns {{ weights: number[][][], biases: number[][] }} Indexés par [couche][neurone][connexion] et [couche][neurone].
+   */
+  getParameters() {
+    return {
+      weights: this.layers.map(layer => layer.map(neuron => neuron.getWeights())),
+      biases: this.layers.map(layer => layer.map(neuron => neuron.getBias()))
+    };
+  }
+
+  /**
+   * Remplace les poids et biais de tous les neurones (format de `getParameters`).
+   * @param {{ weights: number[][][], biases: number[][] }} parameters 
+   */
+  setParameters(parameters) {
+    this.layers.forEach((layer, l) => layer.forEach((neuron, j) => {
+      neuron.setWeights(parameters.weights[l][j]);
+      neuron.setBias(parameters.biases[l][j]);
+    }));
+  }
+
+  /**
+   * Nom d'une mesure de validation dans l'historique : "loss" → "valLoss", "accuracy" → "valAccuracy".
+   * @param {string} name 
+   * @returns {string}
+   */
+  static validationKey(name) {
+    return `val${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  }
+
+  /**
+   * Configure les pénalités L1/L2 des poids d'une couche.
+   * Pénalité ajoutée à la perte : l1·Σ|w| + ½·l2·Σw²
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @param {{l1?: number, l2?: number}} regularization 
+   */
+  setLayerRegularization(index, { l1 = 0, l2 = 0 } = {}) {
+    const config = this.layerConfigs.at(index);
+    if (!config) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+    config.l1 = l1;
+    config.l2 = l2;
+  }
+
+  /**
+   * Configure le multiplicateur du taux d'apprentissage d'une couche : ses poids et biais sont mis à jour
+   * avec `learningRate × multiplier` (ex: 0 pour geler une couche, 0.1 pour l'affiner plus lentement).
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @param {number} multiplier - Multiplicateur positif ou nul.
+   */
+  setLayerLearningRateMultiplier(index, multiplier) {
+    const config = this.layerConfigs.at(index);
+    if (!config) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+    NeuralNetwork.checkLearningRateMultiplier(multiplier);
+    config.learningRateMultiplier = multiplier;
+  }
+
+  /**
+   * Vérifie qu'un multiplicateur de taux d'apprentissage est positif ou nul (un multiplicateur négatif ferait
+   * remonter le gradient).
+   * @param {number} multiplier 
+   */
+  static checkLearningRateMultiplier(multiplier) {
+    if (!(multiplier >= 0)) {
+      throw new Error("Le multiplicateur du taux d'apprentissage doit être positif ou nul.");
+    }
+  }
+
+  /**
+   * Configure le taux de dropout d'une couche cachée : pendant l'entraînement, chaque sortie de la couche
+   * est mise à 0 avec la probabilité `rate`. `predict()` n'applique jamais le dropout.
+   * @param {number} index - Indice de la couche cachée (0 = première cachée).
+   * @param {number} rate - Probabilité d'extinction, dans [0, 1[.
+   */
+  setLayerDropout(index, rate) {
+    const config = this.layerConfigs.at(index);
+    if (!config) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+    if (config === this.layerConfigs.at(-1) && rate > 0) {
+      throw new Error("Le dropout ne peut pas être appliqué à la couche de sortie.");
+    }
+    if (!(rate >= 0 && rate < 1)) {
+      throw new Error("Le taux de dropout doit être compris dans [0, 1[.");
+    }
+    config.dropout = rate;
+  }
+
+  /**
+   * Calcule la pénalité de régularisation totale du réseau : Σ_couches (l1·Σ|w| + ½·l2·Σw²)
+   * @returns {number}
+   */
+  regularizationLoss() {
+    let penalty = 0;
+    this.layers.forEach((layer, l) => {
+      const { l1, l2 } = this.layerConfigs[l];
+      if (!l1 && !l2) return;
+      for (const neuron of layer) {
+        for (const w of neuron.getWeights()) {
+          penalty += l1 * Math.abs(w) + 0.5 * l2 * w * w;
+        }
+      }
+    });
+    return penalty;
+  }
+
+  /**
+   * Gradient de la pénalité de régularisation d'une couche pour un poids : l1·signe(w) + l2·w
+   * (dérivée de `regularizationLoss()`, les biais ne sont pas régularisés).
+   * @param {number} l - Indice de la couche.
+   * @param {number} w - Valeur du poids.
+   * @returns {number}
+   */
+  regularizationGradient(l, w) {
+    const { l1, l2 } = this.layerConfigs[l];
+    return l1 * Math.sign(w) + l2 * w;
+  }
+
+  /**
+   * Retourne le taux d'apprentissage effectivement appliqué à la prochaine mise à jour
+   * (tient compte du planning pendant l'entraînement), par exemple pour l'afficher en direct.
+   * @returns {number}
+   */
+  getLearningRate() {
+    return this.currentLearningRate;
+  }
+
+  /**
+   * Demande l'arrêt de l'entraînement en cours à la fin du batch courant
+   * (typiquement depuis un callback `onEpochEnd` ou `onBatchEnd`).
+   */
+  stopTraining() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Indique si l'arrêt de l'entraînement a été demandé.
+   * @param {{aborted: boolean}} [signal] - Signal d'arrêt externe.
+   * @returns {boolean}
+   */
+  isStopRequested(signal = null) {
+    return this.stopRequested || Boolean(signal?.aborted);
+  }
+
+  /**
+   * Rétropropagation d'un seul échantillon suivie immédiatement de la mise à jour des poids.
+   * @param {number[]} input 
+   * @param {number[]} target 
+   */
   backpropagate(input, target) {
-    const activations = [input];
+    this.applyGradients(this.computeGradients(input, target));
+  }
+
+  /**
+   * Calcule les gradients de l'erreur pour un échantillon, sans modifier le réseau.
+   *
+   * @param {number[]} input 
+   * @param {number[]} target 
+   * @returns {{ weights: Float64Array[], biases: Float64Array[], loss: number, output: number[] }} Gradients de chaque
+   * couche au format de `LayerMatrix` (`weights[l][j * entrées + i]` pour l'entrée i du neurone j, `biases[l][j]`),
+   * ainsi que la valeur de la perte et la sortie du réseau pour cet échantillon.
+   */
+  computeGradients(input, target) {
+    const activations = [input]; // Entrées de chaque couche (après dropout)
+    const outputs = [];          // Sorties activées de chaque couche (avant dropout)
+    const masks = [];            // Masques de dropout (mode entraînement uniquement)
     const zs = [];
 
     // -------- PROPAGATION AVANT --------
-    for (const layer of this.layers) {
-      const z = [];
-      const a = [];
+    this.layers.forEach((layer, l) => {
+      const z = this.getLayerMatrix(l).forward(activations.at(-1));
+      const a = this.activateLayer(layer, z); // fonction d’activation propre au neurone ou à la couche
 
-      for (const neuron of layer) {
-        const sum = neuron.getWeights().reduce(
-          (s, w, i) => s + w * activations.at(-1)[i],
-          0
-        ) + neuron.getBias();
+      zs.push(z);
+      outputs.push(a);
 
-        z.push(sum);
-        a.push(neuron.activate(sum)); // utilisation de la fonction d’activation propre au neurone
+      // Dropout inversé : les sorties conservées sont amplifiées pour garder la même espérance
+      const rate = this.training ? this.layerConfigs[l].dropout : 0;
+      if (rate > 0) {
+        masks[l] = a.map(() => (this.rng.next() < rate ? 0 : 1 / (1 - rate)));
+        activations.push(a.map((v, i) => v * masks[l][i]));
+      } else {
+        activations.push(a);
       }
-
-      zs.push(z);
-      activations.push(a);
-    }
+    });
 
     // -------- ERREUR EN SORTIE --------
     const outputLayer = this.layers.at(-1);
     const outputZ = zs.at(-1);
+    const output = Array.from(outputs.at(-1));
+    const paired = ActivationFunctions[this.lossFunction.pairedActivation];
 
-    let delta = activations.at(-1).map((a, i) => {
-      const z = outputZ[i];
-      return (a - target[i]) * outputLayer[i].activation.df(z);
-    });
+    let delta;
+    if (paired && outputLayer.every(n => n.activation === paired)) {
+      // Perte et activation appariées : le gradient se simplifie en (a - t)
+      delta = outputs.at(-1).map((a, i) => a - target[i]);
+    } else {
+      delta = this.layerDelta(outputLayer, outputZ, outputs.at(-1), Float64Array.from(this.lossFunction.df(output, target)));
+    }
 
     // -------- RÉTROPROPAGATION --------
-    for (let l = this.layers.length - 1; l >= 0; l--) {
-      const layer = this.layers[l];
-      const prevA = activations[l];
-      const z = zs[l];
+    const weightGradients = [];
+    const biasGradients = [];
 
-      // Mise à jour des poids/biais
-      for (let j = 0; j < layer.length; j++) {
-        const neuron = layer[j];
-        const d = delta[j];
+    for (let l = this.layers.length - 1; l >= 0; l--) {
+      const matrix = this.getLayerMatrix(l);
 
-        const newWeights = neuron.getWeights().map(
-          (w, k) => w - this.learningRate * d * prevA[k]
-        );
-        const newBias = neuron.getBias() - this.learningRate * d;
-
-        neuron.setWeights(newWeights);
-        neuron.setBias(newBias);
-      }
+      // Gradients des poids/biais de la couche
+      weightGradients[l] = matrix.outer(delta, activations[l]);
+      biasGradients[l] = Float64Array.from(delta);
 
       // Préparation du delta précédent
       if (l > 0) {
         const prevLayer = this.layers[l - 1];
-        const nextDelta = [];
+        // Wᵀ·δ : les connexions absentes ont un poids nul et ne propagent donc pas l'erreur (réseaux creux)
+        const dA = matrix.backward(delta);
 
-        for (let i = 0; i < prevLayer.length; i++) {
-          let sum = 0;
+        if (masks[l - 1]) {
+          for (let i = 0; i < dA.length; i++) dA[i] *= masks[l - 1][i];
+        }
 
-          for (let j = 0; j < layer.length; j++) {
-            sum += layer[j].getWeights()[i] * delta[j];
+        // zᵢ et aᵢ de la couche précédente
+        delta = this.layerDelta(prevLayer, zs[l - 1], outputs[l - 1], dA);
+      }
+    }
+
+    return { weights: weightGradients, biases: biasGradients, loss: this.lossFunction.f(output, target), output };
+  }
+
+  /**
+   * Vérifie la rétropropagation par différences finies : pour chaque poids et biais, le gradient analytique
+   * (`computeGradients` + `regularizationGradient`, soit le gradient utilisé par `applyGradients`) est comparé
+   * à (E(p + eps) - E(p - eps)) / (2·eps), où E est la perte augmentée des pénalités L1/L2 (`regularizationLoss`).
+   * Permet de détecter une dérivée `df` erronée dans une fonction d'activation ou une perte personnalisée.
+   * Le dropout est désactivé pendant la vérification et les paramètres sont restaurés à l'identique.
+   *
+   * Près d'un point non dérivable (ex: ReLU en 0, poids nul avec L1), un écart important peut apparaître
+   * sans qu'il y ait d'erreur.
+   *
+   * @param {number[]} input 
+   * @param {number[]} target 
+   * @param {number} [eps=1e-5] - Pas des différences finies.
+   * @param {number} [tolerance=1e-4] - Erreur relative maximale acceptée.
+   * @returns {{ passed: boolean, maxRelativeError: number, parameters: Array<{ layer: number, neuron: string,
+   *   type: "weight"|"bias", input: number|null, analytic: number, numerical: number, relativeError: number }> }}
+   * Une entrée par paramètre (`input` est l'indice de l'entrée reliée pour un poids, null pour un biais).
+   */
+  gradientCheck(input, target, eps = 1e-5, tolerance = 1e-4) {
+    const training = this.training;
+    this.training = false;
+
+    try {
+      const gradients = this.computeGradients(input, target);
+      const lossAt = () => this.lossFunction.f(this.predict(input), target) + this.regularizationLoss();
+      const parameters = [];
+
+      // Dérivée numérique centrée d'un paramètre exposé par get/set
+      const check = (entry, get, set, analytic) => {
+        const value = get();
+        set(value + eps);
+        const plus = lossAt();
+        set(value - eps);
+        const minus = lossAt();
+        set(value);
+
+        const numerical = (plus - minus) / (2 * eps);
+        const scale = Math.max(Math.abs(analytic), Math.abs(numerical));
+        const relativeError = scale > 0 ? Math.abs(analytic - numerical) / scale : 0;
+        parameters.push({ ...entry, analytic, numerical, relativeError });
+      };
+
+      this.layers.forEach((layer, l) => {
+        const cols = this.layerSizes[l];
+        layer.forEach((neuron, j) => {
+          for (const conn of neuron.connections) {
+            check({ layer: l, neuron: neuron.name, type: "weight", input: conn.index },
+              () => conn.weight, value => conn.weight = value,
+              gradients.weights[l][j * cols + conn.index] + this.regularizationGradient(l, conn.weight));
           }
+          check({ layer: l, neuron: neuron.name, type: "bias", input: null },
+            () => neuron.getBias(), value => neuron.setBias(value), gradients.biases[l][j]);
+        });
+      });
+
+      const maxRelativeError = parameters.reduce((max, p) => Math.max(max, p.relativeError), 0);
+      return { passed: maxRelativeError <= tolerance, maxRelativeError, parameters };
+    } finally {
+      this.training = training;
+    }
+  }
+
+  /**
+   * Applique des gradients aux poids et biais du réseau par l'intermédiaire de l'optimiseur.
+   * Les pénalités L1/L2 de chaque couche sont ajoutées au gradient des poids (les biais ne sont pas régularisés)
+   * et le taux d'apprentissage est multiplié par le `learningRateMultiplier` de la couche.
+   *
+   * @param {{ weights: Float64Array[], biases: Float64Array[] }} gradients - Gradients issus de `computeGradients`.
+   * @param {number} [scale=1] - Facteur appliqué aux gradients (ex: 1 / taille du batch pour une moyenne).
+   */
+  applyGradients(gradients, scale = 1) {
+    for (let l = 0; l < this.layers.length; l++) {
+      const layer = this.layers[l];
+      const { weights, biases, cols } = this.getLayerMatrix(l);
+      const { learningRateMultiplier = 1 } = this.layerConfigs[l];
+      const rate = this.currentLearningRate * learningRateMultiplier;
 
-          const prevZ = zs[l - 1][i]; // zᵢ de la couche précédente
-          nextDelta[i] = sum * prevLayer[i].activation.df(prevZ);
+      for (let j = 0; j < layer.length; j++) {
+        const neuron = layer[j];
+
+        // Seules les connexions existantes sont mises à jour (les poids absents restent nuls)
+        for (const conn of neuron.connections) {
+          const offset = j * cols + conn.index;
+          const w = weights[offset];
+          // Gradient de l'erreur + gradient des pénalités L1 (l1·signe(w)) et L2 (l2·w)
+          const gradient = gradients.weights[l][offset] * scale + this.regularizationGradient(l, w);
+          conn.optimizerState ??= {};
+          weights[offset] = this.optimizer.update(w, gradient, conn.optimizerState, rate);
         }
 
-        delta = nextDelta;
+        neuron.biasOptimizerState ??= {};
+        biases[j] = this.optimizer.update(biases[j], gradients.biases[l][j] * scale, neuron.biasOptimizerState, rate);
       }
     }
   }
 
+  /**
+   * Retourne l'activation de couche (ex: softmax) partagée par tous les neurones d'une couche, ou null
+   * si la couche utilise des activations élément par élément.
+   * @param {Neuron[]} layer 
+   * @returns {object|null}
+   */
+  static getLayerActivation(layer) {
+    const activation = layer[0]?.activation;
+    if (!activation?.layer) {
+      return null;
+    }
+    if (!layer.every(n => n.activation === activation)) {
+      throw new Error(`L'activation de couche "${activation.name}" doit être partagée par tous les neurones de la couche.`);
+    }
+    return activation;
+  }
 
+  /**
+   * Exactitude d'une prédiction : 1 si la classe prédite est la bonne, 0 sinon.
+   * Avec une seule sortie, la classe est obtenue par seuillage à 0.5 ; avec plusieurs, par argmax.
+   * @param {number[]} output - Sortie du réseau.
+   * @param {number[]} target - Sortie attendue.
+   * @returns {number}
+   */
+  static accuracy(output, target) {
+    if (output.length === 1) {
+      return (output[0] >= 0.5) === (target[0] >= 0.5) ? 1 : 0;
+    }
+    return NeuralNetwork.argmax(output) === NeuralNetwork.argmax(target) ? 1 : 0;
+  }
 
   /**
-   * Sauvegarde du modèle au format JSON
-   * @param {string} filename 
+   * Résout une fonction d'activation donnée par sa clé dans `ActivationFunctions` (ex: "relu"),
+   * par son nom (ex: "ELU") ou directement par son entrée.
+   * @param {string|object} activation 
+   * @returns {object} Entrée de `ActivationFunctions`.
+   * @throws {Error} Si la clé ou le nom est inconnu, ou si l'objet n'a pas de fonction `f`.
    */
-  saveToFile(filename) {
-    const data = {
-      epoch: this.epoch,
+  static resolveActivation(activation) {
+    if (typeof activation !== 'string') {
+      if (typeof activation?.f !== 'function') {
+        throw new Error("Fonction d'activation invalide : entrée de ActivationFunctions ou clé attendue.");
+      }
+      return activation;
+    }
+    const resolved = ActivationFunctions[activation]
+      ?? Object.values(ActivationFunctions).find(a => a.name === activation);
+    if (!resolved) {
+      throw new Error(`Fonction d'activation inconnue : ${activation}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Vérifie qu'une taille de couche est un entier strictement positif.
+   * @param {number} size 
+   */
+  static checkLayerSize(size) {
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new Error(`Taille de couche invalide : ${size}. Un entier positif est attendu.`);
+    }
+  }
+
+  /**
+   * Vérifie les dimensions d'un masque de connectivité.
+   * @param {boolean[][]} mask 
+   * @param {number} neuronCount - Nombre de neurones de la couche.
+   * @param {number} inputSize - Nombre d'entrées de la couche.
+   */
+  static checkConnectivity(mask, neuronCount, inputSize) {
+    if (!Array.isArray(mask) || mask.length !== neuronCount || mask.some(row => !Array.isArray(row) || row.length !== inputSize)) {
+      throw new Error(`Le masque de connectivité doit être un tableau ${neuronCount} x ${inputSize}.`);
+    }
+  }
+
+  /**
+   * Convertit une ligne de masque de connectivité en connexions {index, weight} (poids à 0).
+   * @param {boolean[]} row 
+   * @returns {Array<{index: number, weight: number}>}
+   */
+  static maskToConnections(row) {
+    return row.flatMap((connected, index) => (connected ? [{ index, weight: 0 }] : []));
+  }
+
+  /**
+   * Retourne l'option d'une couche : la valeur elle-même si elle est commune à toutes les couches,
+   * ou l'élément correspondant si elle est donnée sous forme de tableau (une valeur par couche).
+   * @param {*} option 
+   * @param {number} index - Indice de la couche (0 = première cachée).
+   * @returns {*}
+   */
+  static layerOption(option, index) {
+    return Array.isArray(option) ? option[index] : option;
+  }
+
+  /**
+   * Retourne l'indice de la plus grande valeur d'un tableau.
+   * @param {number[]} values 
+   * @returns {number}
+   */
+  static argmax(values) {
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+      if (values[i] > values[best]) best = i;
+    }
+    return best;
+  }
+
+  /**
+   * Encode une étiquette entière sous forme de vecteur one-hot.
+   * @param {number} label - Indice de la classe (0 .. numClasses - 1).
+   * @param {number} numClasses 
+   * @returns {number[]} Ex: oneHot(2, 4) = [0, 0, 1, 0]
+   */
+  static oneHot(label, numClasses) {
+    if (!Number.isInteger(label) || label < 0 || label >= numClasses) {
+      throw new Error(`Étiquette ${label} invalide pour ${numClasses} classes.`);
+    }
+    return Array.from({ length: numClasses }, (_, i) => (i === label ? 1 : 0));
+  }
+
+  /**
+   * Encode un tableau d'étiquettes entières en cibles one-hot.
+   * @param {number[]} labels 
+   * @param {number} [numClasses] - Nombre de classes (déduit des étiquettes si absent).
+   * @returns {number[][]}
+   */
+  static oneHotEncode(labels, numClasses = Math.max(...labels) + 1) {
+    return labels.map(label => NeuralNetwork.oneHot(label, numClasses));
+  }
+
+  /**
+   * Additionne deux ensembles de gradients de même structure.
+   * @param {{ weights: Float64Array[], biases: Float64Array[] }} a - Accumulateur (modifié sur place).
+   * @param {{ weights: Float64Array[], biases: Float64Array[] }} b 
+   * @returns {{ weights: Float64Array[], biases: Float64Array[] }} L'accumulateur `a`.
+   */
+  static addGradients(a, b) {
+    for (const key of ["weights", "biases"]) {
+      a[key].forEach((values, l) => {
+        const other = b[key][l];
+        for (let i = 0; i < values.length; i++) values[i] += other[i];
+      });
+    }
+    a.loss += b.loss;
+    return a;
+  }
+
+  /**
+   * Calcule la perte moyenne du réseau sur un jeu de données (pénalités L1/L2 incluses), sans l'entraîner.
+   * @param {number[][]} inputs 
+   * @param {number[][]} targets 
+   * @returns {number}
+   */
+  evaluate(inputs, targets) {
+    let total = 0;
+    for (let i = 0; i < inputs.length; i++) {
+      total += this.lossFunction.f(this.predict(inputs[i]), targets[i]);
+    }
+    return total / inputs.length + this.regularizationLoss();
+  }
+
+  /**
+   * Change la fonction de perte du réseau.
+   * @param {string|object} loss - Clé de `LossFunctions` ("mse", "binaryCrossEntropy"...) ou objet {name, f, df}.
+   */
+  setLoss(loss) {
+    const lossFunction = typeof loss === 'string' ? LossFunctions[loss] : loss;
+    if (!lossFunction || typeof lossFunction.f !== 'function' || typeof lossFunction.df !== 'function') {
+      throw new Error(`Fonction de perte inconnue : ${loss}`);
+    }
+    this.lossFunction = lossFunction;
+  }
+
+  /**
+   * Change l'optimiseur du réseau et réinitialise l'état qu'il associe à chaque poids et biais.
+   * Un optimiseur de même type et de mêmes hyperparamètres que l'actuel est ignoré : l'optimiseur courant et son
+   * état (moyennes mobiles, nombre de pas d'Adam...) sont conservés, ce qui permet d'appeler `train()` plusieurs fois.
+   * @param {Optimizer|string|object} optimizer - Instance, nom ("adam", "rmsprop"...) ou configuration.
+   */
+  setOptimizer(optimizer) {
+    const next = Optimizer.from(optimizer);
+    if (next === this.optimizer || JSON.stringify(next.toJSON()) === JSON.stringify(this.optimizer.toJSON())) {
+      return;
+    }
+    this.optimizer = next;
+    this.resetOptimizerState();
+  }
+
+  /**
+   * Efface l'état de l'optimiseur (vitesses, moyennes mobiles...) stocké à côté des connexions.
+   */
+  resetOptimizerState() {
+    for (const layer of this.layers) {
+      for (const neuron of layer) {
+        neuron.connections.forEach(conn => delete conn.optimizerState);
+        delete neuron.biasOptimizerState;
+      }
+    }
+  }
+
+  /**
+   * Convertit le modèle en objet JSON pur (sans dépendance au navigateur), au format versionné
+   * `NeuralNetwork.FORMAT_VERSION`. Appelée automatiquement par `JSON.stringify(network)`.
+   *
+   * Le format contient tout ce qu'il faut pour reconstruire un réseau identique :
+   * - la topologie exacte (connexions {index, weight} de chaque neurone, y compris les réseaux creux)
+   * - les noms, activations, biais, taux d'apprentissage, fonction de perte et régularisation par couche
+   * - l'optimiseur et son état par poids/biais, l'état du générateur aléatoire
+   * - l'epoch et le nombre de mises à jour (plannings de taux), l'historique du dernier entraînement et les métadonnées libres (`network.metadata`)
+   *
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      format: NeuralNetwork.FORMAT,
+      version: NeuralNetwork.FORMAT_VERSION,
+      metadata: this.metadata,
       layerSizes: this.layerSizes,
-      weights: this.layers.map(layer => layer.map(neuron => neuron.getWeights())),
-      biases: this.layers.map(layer => layer.map(neuron => neuron.getBias())),
       inputNames: this.inputNames,  // Sauvegarde des noms des entrées
       outputNames: this.outputNames, // Sauvegarde des noms des sorties
-      activations: this.layers.map(layer => layer.map(neuron => neuron.activation.name)),
+      learningRate: this.learningRate,
+      activation: this.activation.name, // Activation par défaut des couches ajoutées ensuite
+      epoch: this.epoch,
+      step: this.step,
+      loss: this.lossFunction.name,
+      optimizer: this.optimizer.toJSON(),
+      randomState: this.rng.getState(),
+      history: this.history ?? null,
+      layers: this.layers.map((layer, l) => ({
+        config: { ...this.layerConfigs[l] },
+        neurons: layer.map(neuron => ({
+          name: neuron.name,
+          activation: neuron.activation.name,
+          bias: neuron.getBias(),
+          biasOptimizerState: neuron.biasOptimizerState ?? null,
+          connections: neuron.connections.map(conn => ({
+            index: conn.index,
+            weight: conn.weight,
+            optimizerState: conn.optimizerState ?? null
+          }))
+        }))
+      }))
     };
+  }
 
-    // Créer un Blob avec les données du modèle pour le téléchargement
-    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  /**
+   * Convertit un modèle d'une version antérieure du format vers la version courante.
+   *
+   * - version 0 (anciens fichiers de `saveToFile`, sans champ `version`) et version 1 : matrices denses
+   *   `weights`/`biases` et `activations` par neurone, sans taux d'apprentissage ni connexions explicites.
+   *   Le taux d'apprentissage absent prend la valeur par défaut du constructeur.
+   *
+   * @param {object} json - Modèle de n'importe quelle version supportée.
+   * @returns {object} Modèle au format `NeuralNetwork.FORMAT_VERSION` (l'objet d'origine n'est pas modifié).
+   */
+  static migrateJSON(json) {
+    const version = json.version ?? 0;
+    if (version > NeuralNetwork.FORMAT_VERSION) {
+      throw new Error(`Version de modèle ${version} non supportée (maximum ${NeuralNetwork.FORMAT_VERSION}).`);
+    }
+    if (version === NeuralNetwork.FORMAT_VERSION) {
+      return json;
+    }
 
-    // Créer un lien pour télécharger le modèle
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = filename;
-    a.click();
-  }
+    // Versions 0 et 1 → 2
+    if (!Array.isArray(json.layerSizes) || !Array.isArray(json.weights) || !Array.isArray(json.biases)) {
+      throw new Error("Modèle invalide ou corrompu");
+    }
+    const activations = json.activations || [];
+    const optimizerStates = json.optimizerStates || [];
 
+    return {
+      format: NeuralNetwork.FORMAT,
+      version: 2,
+      metadata: {},
+      layerSizes: json.layerSizes,
+      inputNames: json.inputNames,
+      outputNames: json.outputNames,
+      learningRate: 0.1,
+      epoch: json.epoch ?? 0,
+      loss: json.loss,
+      optimizer: json.optimizer,
+      randomState: json.randomState,
+      history: null,
+      layers: json.weights.map((layerWeights, l) => ({
+        config: { l1: 0, l2: 0, dropout: 0, learningRateMultiplier: 1 },
+        neurons: layerWeights.map((weights, i) => {
+          const states = optimizerStates[l]?.[i];
+          return {
+            name: `${String.fromCharCode(65 + l)}${i + 1}`,
+            activation: activations[l]?.[i],
+            bias: json.biases[l][i],
+            biasOptimizerState: states?.bias ?? null,
+            connections: weights.map((weight, k) => ({ index: k, weight, optimizerState: states?.weights?.[k] ?? null }))
+          };
+        })
+      }))
+    };
+  }
 
   /**
-   * Chargement d'un modèle sauvegardé
-   * @param {string} url - L'URL ou le chemin du fichier JSON contenant le modèle
-   * @returns {Promise<NeuralNetwork>} - Une promesse renvoyant l'instance du réseau chargé
+   * Reconstruit un réseau identique à partir d'un modèle produit par `toJSON()`.
+   * Les modèles des versions antérieures sont d'abord convertis par `NeuralNetwork.migrateJSON()`.
+   *
+   * @param {object|string} json - Objet JSON ou chaîne JSON.
+   * @returns {NeuralNetwork}
+   * @throws {Error} Si le modèle est invalide ou utilise une fonction de perte ou d'activation inconnue.
    */
-  async loadFromFile(url) {
-    // Récupérer le fichier JSON
-    const res = await fetch(url);
-    const json = await res.json();
+  static fromJSON(json) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+    if (!json || typeof json !== 'object') {
+      throw new Error("Modèle invalide ou corrompu");
+    }
 
-    // Vérification de la validité du fichier
-    if (!json.layerSizes || !json.weights || !json.biases || !json.epoch) {
+    json = NeuralNetwork.migrateJSON(json);
+
+    // Vérification de la validité du modèle
+    if (!Array.isArray(json.layerSizes) || !Array.isArray(json.layers) || json.layers.length !== json.layerSizes.length - 1) {
       throw new Error("Modèle invalide ou corrompu");
     }
 
-    // Créer une nouvelle instance du réseau de neurones
-    const network = new NeuralNetwork(json.layerSizes, json.inputNames, json.outputNames);
+    // Une fonction inconnue (faute de frappe, fichier d'une version plus récente) ne doit pas être remplacée en silence.
+    // Seuls les anciens fichiers sans perte ni activation enregistrée reprennent les valeurs historiques (MSE, sigmoïde).
+    const loss = json.loss == null ? LossFunctions.mse : Object.values(LossFunctions).find(f => f.name === json.loss);
+    if (!loss) {
+      throw new Error(`Fonction de perte inconnue dans le modèle : ${json.loss}`);
+    }
+    const activation = json.activation == null ? ActivationFunctions.sigmoid : NeuralNetwork.resolveActivation(json.activation);
+
+    // Créer une nouvelle instance du réseau de neurones (initialisation à zéro : aucun tirage aléatoire,
+    // les couches sont remplacées juste après)
+    const network = new NeuralNetwork(json.layerSizes, json.inputNames, json.outputNames,
+      json.learningRate, activation, { optimizer: json.optimizer, loss, initializer: "zeros", biasInitializer: "zeros" });
 
-    network.epoch = json.epoch; // Récupérer l'epoch
+    network.epoch = json.epoch ?? 0; // Récupérer l'epoch
+    network.step = json.step ?? 0;
+    network.metadata = { ...json.metadata };
+    if (json.history) {
+      network.history = json.history;
+    }
 
-    // Vider les couches existantes
-    network.layers = [];
+    // Reconstruire chaque neurone avec ses connexions exactes, son biais et son activation
+    network.layers = json.layers.map((layerData, l) => {
+      network.layerConfigs[l] = { l1: 0, l2: 0, dropout: 0, learningRateMultiplier: 1, ...layerData.config };
+      NeuralNetwork.checkLearningRateMultiplier(network.layerConfigs[l].learningRateMultiplier);
 
-    // Remplir les couches avec les poids, biais et fonctions d'activation
-    const activationsData = json.activations || [];
-    for (let l = 1; l < json.layerSizes.length; l++) {
-      const layer = [];
-      const inSize = json.layerSizes[l - 1];
-      const outSize = json.layerSizes[l];
-      const layerActivations = activationsData[l - 1] || [];
-      for (let i = 0; i < outSize; i++) {
-        const actName = layerActivations[i];
-        let activation = ActivationFunctions.sigmoid;
-        if (actName) {
-          const found = Object.values(ActivationFunctions).find(a => a.name === actName);
-          if (found) activation = found;
+      // Un fichier corrompu ou modifié à la main ne doit pas produire un réseau incohérent avec layerSizes
+      const inputSize = json.layerSizes[l];
+      if (!Array.isArray(layerData.neurons) || layerData.neurons.length !== json.layerSizes[l + 1]) {
+        throw new Error(`Modèle invalide : la couche ${l} contient ${layerData.neurons?.length ?? 0} neurones, ${json.layerSizes[l + 1]} attendus.`);
+      }
+      for (const data of layerData.neurons) {
+        const indices = new Set(data.connections?.map(conn => conn.index));
+        if (!Array.isArray(data.connections) || data.connections.length > inputSize || indices.size !== data.connections.length
+          || [...indices].some(index => !Number.isInteger(index) || index < 0 || index >= inputSize)) {
+          throw new Error(`Modèle invalide : les connexions du neurone ${data.name} ne correspondent pas aux ${inputSize} entrées de la couche ${l}.`);
         }
-        const neuron = new Neuron(inSize, network.learningRate, activation);
-        neuron.setWeights(json.weights[l - 1][i]); // Set weights for the neuron
-        neuron.setBias(json.biases[l - 1][i]);     // Set bias for the neuron
-        layer.push(neuron);
       }
-      network.layers.push(layer);  // Add the layer to the network
+
+      return layerData.neurons.map(data => {
+        const activation = data.activation == null
+          ? ActivationFunctions.sigmoid
+          : NeuralNetwork.resolveActivation(data.activation);
+        const connections = data.connections.map(({ index, weight, optimizerState }) =>
+          optimizerState ? { index, weight, optimizerState } : { index, weight });
+
+        const neuron = new Neuron(json.layerSizes[l], network.learningRate, activation, connections, null);
+        neuron.connections = connections; // Un neurone sans connexion ne doit pas redevenir dense
+        neuron.name = data.name;
+        neuron.setBias(data.bias);
+        if (data.biasOptimizerState) {
+          neuron.biasOptimizerState = data.biasOptimizerState;
+        }
+        return neuron;
+      });
+    });
+
+    // Reprendre la séquence aléatoire là où elle en était lors de la sauvegarde
+    if (json.randomState !== undefined) {
+      network.rng = new RandomGenerator();
+      network.rng.setState(json.randomState);
     }
 
-    // Retourner l'instance du modèle chargé
     return network;
   }
 
+  /**
+   * Sauvegarde du modèle au format JSON (navigateur : déclenche le téléchargement du fichier).
+   * @param {string} filename 
+   */
+  saveToFile(filename) {
+    // Créer un Blob avec les données du modèle pour le téléchargement
+    const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+
+    // Créer un lien pour télécharger le modèle
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+  }
+
+  /**
+   * Chargement d'un modèle sauvegardé (navigateur ou tout environnement disposant de `fetch`).
+   * @param {string} url - L'URL ou le chemin du fichier JSON contenant le modèle
+   * @returns {Promise<NeuralNetwork>} - Une promesse renvoyant l'instance du réseau chargé
+   */
+  static async loadFromFile(url) {
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw new Error(`Impossible de charger le modèle ${url} (HTTP ${res.status}).`);
+    }
+    return NeuralNetwork.fromJSON(await res.json());
+  }
+
+  /**
+   * Chargement d'un modèle sauvegardé.
+   * @deprecated Retourne un *autre* réseau que l'instance appelante : utiliser `NeuralNetwork.loadFromFile(url)`.
+   * @param {string} url - L'URL ou le chemin du fichier JSON contenant le modèle
+   * @returns {Promise<NeuralNetwork>} - Une promesse renvoyant l'instance du réseau chargé
+   */
+  async loadFromFile(url) {
+    return NeuralNetwork.loadFromFile(url);
+  }
+
   /**
    * Retourne le nombre total de neurones dans le réseau
    */
@@ -305,15 +1354,14 @@ class NeuralNetwork {
     }
 
     const outputNeuron = outputLayer[outputNeuronIndex];
-    const weights = outputNeuron.getWeights();
     const bias = outputNeuron.getBias();
 
     // Génère l'équation de sortie
     let equation = `y = ${bias.toFixed(3)}`; // Commence par le biais
 
     // Ajoute les poids et les entrées correspondantes
-    for (let i = 0; i < weights.length; i++) {
-      equation += ` + (${weights[i].toFixed(3)}) * x${i + 1}`;  // x(i+1) pour les noms des entrées
+    for (const { index, weight } of outputNeuron.connections) {
+      equation += ` + (${weight.toFixed(3)}) * x${index + 1}`;  // x(i+1) pour les noms des entrées
     }
 
     return equation;
@@ -338,13 +1386,12 @@ class NeuralNetwork {
     // Fonction pour représenter une équation à partir des poids, biais et entrées
     const getLayerEquation = (layer, prevActivations) => {
       return layer.map(neuron => {
-        const weights = neuron.getWeights();
         const bias = neuron.getBias();
         let equation = `${bias.toFixed(3)}`;
 
-        // Ajout des termes pondérés par les entrées
-        for (let i = 0; i < weights.length; i++) {
-          equation += ` + (${weights[i].toFixed(3)}) * ${prevActivations[i]}`;
+        // Ajout des termes pondérés par les entrées (uniquement celles réellement connectées)
+        for (const { index, weight } of neuron.connections) {
+          equation += ` + (${weight.toFixed(3)}) * ${prevActivations[index]}`;
         }
         //return `fact(${equation})`; // Fonction d'activation
         return `1 / (1 + exp(-(${equation})))`; // Sigmoïde de la somme pondérée
@@ -352,7 +1399,7 @@ class NeuralNetwork {
     };
 
     // On commence par les entrées
-    let prevActivations = this.inputNames.map((_, index) => `x${index + 1}`);
+    let prevActivations = Array.from({ length: this.layerSizes[0] }, (_, index) => `x${index + 1}`);
 
     // Traverse du réseau couche par couche pour construire l'équation
     let equations = [];
@@ -369,6 +1416,21 @@ class NeuralNetwork {
     return `y = ${outputEquation}`;
   }
 
+  /**
+   * Change la fonction d'activation de tous les neurones d'une couche.
+   * Nécessaire pour les activations de couche comme softmax (ex: couche de sortie d'un classifieur multi-classes).
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @param {object|string} activation - Entrée de `ActivationFunctions` ou sa clé (ex: "relu").
+   */
+  setLayerActivation(index, activation) {
+    const layer = this.layers.at(index);
+    if (!layer) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+    activation = NeuralNetwork.resolveActivation(activation);
+    layer.forEach(neuron => neuron.setActivationFunction(activation));
+  }
+
   // NeuralNetwork.js
   setActivationFunctionForAll(activation) {
     for (const layer of this.layers) {
@@ -381,23 +1443,251 @@ class NeuralNetwork {
   }
 
   /**
-   * Ajoute une couche au réseau de neurones.
-   * @param {*} nbNeurons - Le nombre de neurones dans la couche.
-   * @param {*} activation - La fonction d'activation à utiliser pour les neurones de cette couche.
+   * Ajoute une couche de sortie au réseau. L'ancienne couche de sortie devient une couche cachée.
+   * Après toute modification de topologie, les vues doivent être reconstruites (`NeuralNetworkView.rebuild()`).
+   *
+   * @param {number} nbNeurons - Le nombre de neurones dans la couche.
+   * @param {object|string} [activation=this.activation] - La fonction d'activation des neurones de cette couche
+   * (entrée ou clé de `ActivationFunctions`).
+   * @param {string|object|function} [initializer="uniform"] - Initialisation des poids de la couche (voir `Initializers`).
+   * @param {string|object|function} [biasInitializer] - Initialisation des biais ("zeros" si un initialiseur est fourni).
+   */
+  addLayer(nbNeurons, activation = this.activation, initializer = null, biasInitializer = null) {
+    this.insertLayer(this.layers.length, nbNeurons, activation, initializer, biasInitializer);
+  }
+
+  /**
+   * Insère une couche dense à la position donnée.
+   * La couche qui suit (si elle existe) reçoit désormais les sorties de la nouvelle couche : ses poids sont
+   * réinitialisés avec `initializer`, ses biais sont conservés.
+   *
+   * @param {number} index - Position de la nouvelle couche (0 = première cachée, this.layers.length = nouvelle sortie).
+   * @param {number} nbNeurons - Le nombre de neurones dans la couche.
+   * @param {object|string} [activation=this.activation] - La fonction d'activation des neurones de cette couche
+   * (entrée ou clé de `ActivationFunctions`).
+   * @param {string|object|function} [initializer="uniform"] - Initialisation des poids (voir `Initializers`).
+   * @param {string|object|function} [biasInitializer] - Initialisation des biais ("zeros" si un initialiseur est fourni).
    */
-  addLayer(nbNeurons, activation = "linear") {
-    const previousLayer = this.layers.length > 0 ? this.layers[this.layers.length - 1] : null;
-    const inputSize = previousLayer ? previousLayer.length : this.inputSize;
+  insertLayer(index, nbNeurons, activation = this.activation, initializer = null, biasInitializer = null) {
+    if (!Number.isInteger(index) || index < 0 || index > this.layers.length) {
+      throw new Error(`Position de couche invalide : ${index}.`);
+    }
+    NeuralNetwork.checkLayerSize(nbNeurons);
+    activation = NeuralNetwork.resolveActivation(activation); // Avant toute modification de la topologie
+
+    const inputSize = this.layerSizes[index];
+    const layer = Array.from({ length: nbNeurons }, () => new Neuron(inputSize, this.learningRate, activation, [], null));
+    const isOutput = index === this.layers.length;
 
-    const newLayer = [];
+    this.layers.splice(index, 0, layer);
+    this.layerSizes.splice(index + 1, 0, nbNeurons);
+    this.layerConfigs.splice(index, 0, { l1: 0, l2: 0, dropout: 0, learningRateMultiplier: 1 });
+    this.initializeLayer(index,
+      initializer ?? Initializers.uniform,
+      biasInitializer ?? (initializer ? Initializers.zeros : Initializers.uniform));
 
-    for (let i = 0; i < nbNeurons; i++) {
-      const neuron = new Neuron(inputSize);
-      neuron.setActivation(activation);
-      newLayer.push(neuron);
+    if (isOutput) {
+      // Les noms de sorties décrivaient l'ancienne couche de sortie
+      this.outputNames = [];
+    } else {
+      this.reconnectLayer(index + 1, initializer ?? Initializers.uniform);
     }
+    this.renameNeurons();
+  }
+
+  /**
+   * Supprime une couche. La couche suivante est reliée directement aux entrées de la couche supprimée
+   * (poids réinitialisés avec `initializer`) ; si la couche de sortie est supprimée, la précédente devient la sortie.
+   *
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @param {string|object|function} [initializer="uniform"] - Initialisation des nouveaux poids de la couche suivante.
+   */
+  removeLayer(index, initializer = Initializers.uniform) {
+    if (this.layers.length < 2) {
+      throw new Error("Impossible de supprimer l'unique couche du réseau.");
+    }
+    const l = index < 0 ? this.layers.length + index : index;
+    if (!this.layers[l]) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+
+    const isOutput = l === this.layers.length - 1;
+    this.layers.splice(l, 1);
+    this.layerSizes.splice(l + 1, 1);
+    this.layerConfigs.splice(l, 1);
 
-    this.layers.push(newLayer);
+    if (isOutput) {
+      this.outputNames = [];
+      this.layerConfigs[l - 1].dropout = 0; // Pas de dropout sur la couche de sortie
+    } else {
+      this.reconnectLayer(l, initializer);
+    }
+    this.renameNeurons();
+  }
+
+  /**
+   * Insère un neurone dans une couche. Le neurone est relié à toutes les entrées de la couche, et chaque
+   * neurone de la couche suivante reçoit une nouvelle connexion depuis lui ; les autres poids sont conservés.
+   *
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @param {number} [position] - Position du neurone dans la couche (par défaut à la fin).
+   * @param {string|object|function} [initializer="uniform"] - Initialisation des nouveaux poids.
+   * @returns {Neuron} Le neurone créé.
+   */
+  insertNeuron(index, position = null, initializer = Initializers.uniform) {
+    const l = index < 0 ? this.layers.length + index : index;
+    const layer = this.layers[l];
+    if (!layer) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+    position ??= layer.length;
+    if (!Number.isInteger(position) || position < 0 || position > layer.length) {
+      throw new Error(`Position de neurone invalide : ${position}.`);
+    }
+
+    const weightInit = resolveInitializer(initializer);
+    const neuron = new Neuron(this.layerSizes[l], this.learningRate, layer[0].activation, [], null); // Biais nul
+    neuron.connections.forEach(conn => conn.weight = weightInit.f(this.layerSizes[l], layer.length + 1, this.rng));
+
+    layer.splice(position, 0, neuron);
+    this.layerSizes[l + 1]++;
+
+    if (l === this.layers.length - 1) {
+      if (this.outputNames.length > 0) {
+        this.outputNames.splice(position, 0, `y${position + 1}`);
+      }
+    } else {
+      this.insertInputConnections(l + 1, position, weightInit);
+    }
+    this.renameNeurons();
+    return neuron;
+  }
+
+  /**
+   * Supprime un neurone d'une couche, ainsi que les connexions qui en partent vers la couche suivante.
+   * @param {number} index - Indice de la couche (0 = première cachée, -1 = sortie).
+   * @param {number} position - Position du neurone dans la couche.
+   */
+  removeNeuron(index, position) {
+    const l = index < 0 ? this.layers.length + index : index;
+    const layer = this.layers[l];
+    if (!layer) {
+      throw new Error(`Couche ${index} inexistante.`);
+    }
+    if (!layer[position]) {
+      throw new Error(`Neurone ${position} inexistant dans la couche ${index}.`);
+    }
+    if (layer.length === 1) {
+      throw new Error("Une couche doit conserver au moins un neurone : utiliser removeLayer().");
+    }
+
+    layer.splice(position, 1);
+    this.layerSizes[l + 1]--;
+
+    if (l === this.layers.length - 1) {
+      this.outputNames.splice(position, 1);
+    } else {
+      this.removeInputConnections(l + 1, position);
+    }
+    this.renameNeurons();
+  }
+
+  /**
+   * Modifie le nombre d'entrées du réseau. Les entrées sont ajoutées ou retirées à la fin ;
+   * les poids des entrées conservées ne changent pas.
+   *
+   * @param {number} size - Nouveau nombre d'entrées.
+   * @param {string|object|function} [initializer="uniform"] - Initialisation des poids des nouvelles entrées.
+   */
+  setInputSize(size, initializer = Initializers.uniform) {
+    NeuralNetwork.checkLayerSize(size);
+    const weightInit = resolveInitializer(initializer);
+
+    while (this.layerSizes[0] < size) {
+      this.insertInputConnections(0, this.layerSizes[0], weightInit);
+      this.layerSizes[0]++;
+    }
+    while (this.layerSizes[0] > size) {
+      this.layerSizes[0]--;
+      this.removeInputConnections(0, this.layerSizes[0]);
+    }
+    this.inputNames = this.inputNames.slice(0, size);
+  }
+
+  /**
+   * Modifie le nombre de sorties du réseau en ajoutant ou retirant des neurones à la fin de la couche de sortie.
+   * @param {number} size - Nouveau nombre de sorties.
+   * @param {string|object|function} [initializer="uniform"] - Initialisation des poids des nouveaux neurones.
+   */
+  setOutputSize(size, initializer = Initializers.uniform) {
+    NeuralNetwork.checkLayerSize(size);
+    while (this.layerSizes.at(-1) < size) {
+      this.insertNeuron(-1, null, initializer);
+    }
+    while (this.layerSizes.at(-1) > size) {
+      this.removeNeuron(-1, this.layerSizes.at(-1) - 1);
+    }
+  }
+
+  /**
+   * Relie densément une couche à la couche précédente après un changement de sa taille d'entrée.
+   * Les biais, activations et noms sont conservés ; les poids sont réinitialisés.
+   * @param {number} l - Indice de la couche.
+   * @param {string|object|function} initializer 
+   */
+  reconnectLayer(l, initializer) {
+    const weightInit = resolveInitializer(initializer);
+    const inputSize = this.layerSizes[l];
+    const layer = this.layers[l];
+    for (const neuron of layer) {
+      neuron.connections = Array.from({ length: inputSize }, (_, index) => ({
+        index,
+        weight: weightInit.f(inputSize, layer.length, this.rng)
+      }));
+    }
+  }
+
+  /**
+   * Ajoute à chaque neurone d'une couche une connexion vers une nouvelle entrée insérée à `position`.
+   * Les indices des entrées suivantes sont décalés ; les poids existants sont conservés.
+   * @param {number} l - Indice de la couche qui reçoit la nouvelle entrée.
+   * @param {number} position 
+   * @param {object} weightInit - Initialiseur résolu (voir `resolveInitializer`).
+   */
+  insertInputConnections(l, position, weightInit) {
+    const layer = this.layers[l];
+    const fanIn = this.layerSizes[l] + 1;
+    for (const neuron of layer) {
+      neuron.connections.forEach(conn => {
+        if (conn.index >= position) conn.index++;
+      });
+      neuron.connections.push({ index: position, weight: weightInit.f(fanIn, layer.length, this.rng) });
+      neuron.connections.sort((a, b) => a.index - b.index);
+    }
+  }
+
+  /**
+   * Retire de chaque neurone d'une couche la connexion vers l'entrée `position` et décale les suivantes.
+   * @param {number} l - Indice de la couche.
+   * @param {number} position 
+   */
+  removeInputConnections(l, position) {
+    for (const neuron of this.layers[l]) {
+      neuron.connections = neuron.connections.filter(conn => conn.index !== position);
+      neuron.connections.forEach(conn => {
+        if (conn.index > position) conn.index--;
+      });
+    }
+  }
+
+  /**
+   * Renomme les neurones selon leur position (A1, A2, B1...) après un changement de topologie.
+   */
+  renameNeurons() {
+    this.layers.forEach((layer, l) => {
+      const layerPrefix = String.fromCharCode(65 + l);
+      layer.forEach((neuron, i) => neuron.name = `${layerPrefix}${i + 1}`);
+    });
   }
 
   /**
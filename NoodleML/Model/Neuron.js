@@ -42,14 +42,16 @@ class Neuron extends Perceptron {
      * @param {number} [learningRate=0.1] - Taux d'apprentissage.
      * @param {object} [activation=ActivationFunctions.sigmoid] - Fonction d'activation.
      * @param {Array<{index: number, weight: number}>} [connections=[]] - Connexions explicites.
+     * @param {RandomGenerator|null} [rng=Random] - Générateur utilisé pour tirer les poids et le biais initiaux.
+     * null : poids et biais à 0, sans tirage (l'appelant les initialise lui-même, ex: `NeuralNetwork`).
      */
-    constructor(inputSize, learningRate = 0.1, activation = ActivationFunctions.sigmoid, connections = []) {
+    constructor(inputSize, learningRate = 0.1, activation = ActivationFunctions.sigmoid, connections = [], rng = Random) {
 
         const weights = connections.length > 0
             ? connections.map(conn => conn.weight)
-            : Array.from({ length: inputSize }, () => Math.random() * 2 - 1);
+            : Array.from({ length: inputSize }, () => rng ? Initializers.uniform.f(1, 1, rng) : 0);
 
-        super(weights.length, learningRate);
+        super(weights.length, learningRate, false, rng);
 
         /**
          * @type {Array<{index: number, weight: number}>}
@@ -69,6 +71,53 @@ class Neuron extends Perceptron {
      * @returns {number} Sortie activée.
      */
     predict(inputs) {
+        return this.activate(this.weightedSum(inputs));
+    }
+
+    /**
+     * Calcule la sortie du neurone pour tout un lot d'entrées en un seul appel (ex: une grille de pixels).
+     *
+     * @param {number[][]|Float64Array} inputs - Tableau d'entrées, ou tableau plat rangé ligne par ligne.
+     * @param {number|null} [inputSize=null] - Taille d'une entrée dans un tableau plat (obligatoire dans ce cas :
+     * les connexions d'un neurone creux ne suffisent pas à la déduire).
+     * @returns {Float64Array} Sortie activée pour chaque entrée du lot.
+     * @throws {Error} Si `inputSize` manque pour un tableau plat, ou ne divise pas la taille du lot.
+     */
+    predictBatch(inputs, inputSize = null) {
+        if (!ArrayBuffer.isView(inputs)) {
+            return Float64Array.from(inputs, row => this.predict(row));
+        }
+
+        if (!Number.isInteger(inputSize) || inputSize <= 0) {
+            throw new Error("predictBatch : inputSize est obligatoire pour un tableau plat.");
+        }
+        const stride = inputSize;
+        if (inputs.length % stride !== 0) {
+            throw new Error(`La taille du lot (${inputs.length}) n'est pas un multiple de ${stride}.`);
+        }
+        if (this.connections.some(conn => conn.index >= stride)) {
+            throw new Error(`Index de connexion hors des bornes d'entrée (${stride}).`);
+        }
+
+        const count = inputs.length / stride;
+        const outputs = new Float64Array(count);
+        for (let n = 0; n < count; n++) {
+            let sum = this.bias;
+            for (const { index, weight } of this.connections) {
+                sum += inputs[n * stride + index] * weight;
+            }
+            outputs[n] = this.activate(sum);
+        }
+        return outputs;
+    }
+
+    /**
+     * Calcule la somme pondérée des entrées connectées, biais inclus (avant activation).
+     *
+     * @param {number[]} inputs - Entrées externes au neurone.
+     * @returns {number} z = Σ wᵢ·xᵢ + b
+     */
+    weightedSum(inputs) {
         let sum = this.bias;
         for (const { index, weight } of this.connections) {
             if (index >= inputs.length) {
@@ -76,16 +125,17 @@ class Neuron extends Perceptron {
             }
             sum += inputs[index] * weight;
         }
-        return this.activate(sum);
+        return sum;
     }
 
     /**
      * Applique la fonction d’activation au résultat.
+     * Une activation de couche (softmax) appliquée à un neurone seul le traite comme une couche à une sortie.
      * @param {number} sum - Somme pondérée des entrées + biais.
      * @returns {number} Sortie activée.
      */
     activate(sum) {
-        return this.activation.f(sum);
+        return this.activation.layer ? this.activation.f([sum])[0] : this.activation.f(sum);
     }
 
     /**
@@ -113,7 +163,7 @@ class Neuron extends Perceptron {
     addConnection(index, weight = null) {
         this.connections.push({
             index,
-            weight: weight !== null ? weight : Math.random() * 2 - 1
+            weight: weight !== null ? weight : Initializers.uniform.f()
         });
     }
 
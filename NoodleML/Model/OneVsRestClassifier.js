@@ -0,0 +1,130 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * @class OneVsRestClassifier
+ * @classdesc Classifieur multi-classes « un contre tous » construit à partir de classifieurs binaires.
+ *
+ * Un classifieur binaire est entraîné par classe k pour répondre 1 sur les exemples de la classe k
+ * et 0 sur tous les autres. La classe prédite est celle dont le classifieur donne le score le plus élevé :
+ * `decisionFunction(x)` si elle existe (perceptron, y compris voté ou moyenné), sinon sa somme pondérée
+ * `weightedSum(x)` (neurone), sinon sa sortie `predict(x)`.
+ *
+ * Contrairement à `MultiClassPerceptron`, les classifieurs sont entraînés indépendamment les uns des autres :
+ * certaines zones de l'espace peuvent être revendiquées par plusieurs classes, ou par aucune.
+ *
+ * @example
+ * const classifier = new OneVsRestClassifier(2, 3); // 3 perceptrons à 2 entrées
+ * classifier.fit(data, 50);                          // data = [{ x: [..], y: 0|1|2 }, ...]
+ * classifier.predict([0.5, 0.8]);
+ */
+class OneVsRestClassifier {
+  /**
+   * Crée un classifieur binaire par classe.
+   *
+   * @param {number} inputSize - Nombre d'entrées.
+   * @param {number} classCount - Nombre de classes (labels entiers de 0 à classCount - 1).
+   * @param {number} [learningRate=0.1] - Taux d'apprentissage des perceptrons créés par défaut.
+   * @param {function(number): object} [createClassifier] - Fabrique appelée avec l'indice de la classe, qui
+   * retourne un classifieur binaire doté de `fit(data, epochs, shuffle)` et de `predict(x)`
+   * (par défaut `new Perceptron(inputSize, learningRate)`).
+   */
+  constructor(inputSize, classCount, learningRate = 0.1, createClassifier = null) {
+    if (!Number.isInteger(classCount) || classCount < 2) {
+      throw new Error("Le nombre de classes doit être un entier supérieur ou égal à 2.");
+    }
+    this.inputSize = inputSize;
+    this.classCount = classCount;
+    this.learningRate = learningRate;
+    this.name = "OneVsRestClassifier";
+
+    const create = createClassifier ?? (() => new Perceptron(inputSize, learningRate));
+    this.classifiers = Array.from({ length: classCount }, (_, k) => create(k));
+  }
+
+  /**
+   * Calcule le score de chaque classe (fonction de décision, somme pondérée ou sortie de son classifieur binaire).
+   *
+   * @param {number[]} input - Vecteur d'entrée.
+   * @returns {number[]} Un score par classe.
+   */
+  scores(input) {
+    return this.classifiers.map(classifier => {
+      if (typeof classifier.decisionFunction === 'function') {
+        return classifier.decisionFunction(input);
+      }
+      return typeof classifier.weightedSum === 'function' ? classifier.weightedSum(input) : classifier.predict(input);
+    });
+  }
+
+  /**
+   * Prédit la classe d'une entrée (indice du score le plus élevé).
+   *
+   * @param {number[]} input - Vecteur d'entrée.
+   * @returns {number} Indice de la classe prédite.
+   */
+  predict(input) {
+    return NeuralNetwork.argmax(this.scores(input));
+  }
+
+  /**
+   * Alias de `predict()`, pour offrir la même interface que `NeuralNetwork.predictClass()` (ex: `DecisionRegionView`).
+   *
+   * @param {number[]} input - Vecteur d'entrée.
+   * @returns {number} Indice de la classe prédite.
+   */
+  predictClass(input) {
+    return this.predict(input);
+  }
+
+  /**
+   * Entraîne chaque classifieur binaire sur les exemples relabellisés en 1 (sa classe) / 0 (les autres).
+   *
+   * @param {Array<{x: number[], y: number}>} data - Exemples, `y` étant l'indice de la classe attendue.
+   * @param {number} [epochs=20] - Nombre d'epochs transmis à `fit()` de chaque classifieur.
+   * @param {boolean} [shuffle=true] - Mélange l'ordre des exemples à chaque epoch.
+   * @param {object} [options] - Options transmises à `fit()` de chaque classifieur
+   * (ex: `{ algorithm: "pocket" }` pour des perceptrons, voir `Perceptron.fit`).
+   * @returns {Array} Valeur retournée par `fit()` de chaque classifieur (rapports de convergence des perceptrons).
+   */
+  fit(data, epochs = 20, shuffle = true, options = {}) {
+    MultiClassPerceptron.checkLabels(data, this.classCount);
+    return this.classifiers.map((classifier, k) =>
+      classifier.fit(data.map(({ x, y }) => ({ x, y: y === k ? 1 : 0 })), epochs, shuffle, options));
+  }
+
+  /**
+   * Retourne le classifieur binaire d'une classe.
+   * @param {number} label - Indice de la classe.
+   * @returns {object}
+   */
+  getClassifier(label) {
+    return this.classifiers[label];
+  }
+}
@@ -0,0 +1,249 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * @class Optimizer
+ * @classdesc Classe de base des optimiseurs utilisés par la rétropropagation.
+ *
+ * Un optimiseur transforme le gradient d'un paramètre (poids ou biais) en une mise à jour.
+ * L'état propre à chaque paramètre (vitesse, moyennes mobiles, etc.) n'est pas stocké dans
+ * l'optimiseur mais à côté du paramètre lui-même (`connection.optimizerState` pour un poids,
+ * `neuron.biasOptimizerState` pour un biais) : il suit ainsi le neurone et peut être sauvegardé
+ * avec le modèle.
+ */
+class Optimizer {
+  /**
+   * @param {string} type - Identifiant de l'optimiseur dans le registre `Optimizers`.
+   */
+  constructor(type) {
+    this.type = type;
+  }
+
+  /**
+   * Calcule la nouvelle valeur d'un paramètre.
+   *
+   * @param {number} value - Valeur actuelle du paramètre.
+   * @param {number} gradient - Gradient de l'erreur par rapport au paramètre.
+   * @param {object} state - État propre au paramètre (modifié sur place).
+   * @param {number} learningRate - Taux d'apprentissage courant.
+   * @returns {number} Nouvelle valeur du paramètre.
+   */
+  update(value, gradient, state, learningRate) {
+    throw new Error(`L'optimiseur "${this.type}" doit implémenter update().`);
+  }
+
+  /**
+   * Retourne la configuration sérialisable de l'optimiseur (sans l'état des paramètres).
+   * @returns {object}
+   */
+  toJSON() {
+    return { type: this.type };
+  }
+
+  /**
+   * Construit un optimiseur à partir d'une instance, d'un nom ou d'une configuration sérialisée.
+   *
+   * @param {Optimizer|string|{type: string}|null} spec - Ex: "adam", { type: "momentum", momentum: 0.8 }.
+   * @returns {Optimizer}
+   */
+  static from(spec) {
+    if (spec instanceof Optimizer) {
+      return spec;
+    }
+    if (spec === null || spec === undefined) {
+      return new SGDOptimizer();
+    }
+
+    const { type, ...params } = typeof spec === 'string' ? { type: spec } : spec;
+    const OptimizerClass = Optimizers[type];
+    if (!OptimizerClass) {
+      throw new Error(`Optimiseur inconnu : ${type}`);
+    }
+    return new OptimizerClass(params);
+  }
+}
+
+/**
+ * @class SGDOptimizer
+ * @extends Optimizer
+ * @classdesc Descente de gradient stochastique classique : w ← w - η·g
+ */
+class SGDOptimizer extends Optimizer {
+  constructor() {
+    super("sgd");
+  }
+
+  update(value, gradient, state, learningRate) {
+    return value - learningRate * gradient;
+  }
+}
+
+/**
+ * @class MomentumOptimizer
+ * @extends Optimizer
+ * @classdesc SGD avec momentum : v ← μ·v - η·g ; w ← w + v
+ */
+class MomentumOptimizer extends Optimizer {
+  /**
+   * @param {{momentum?: number}} [params]
+   */
+  constructor({ momentum = 0.9 } = {}) {
+    super("momentum");
+    this.momentum = momentum;
+  }
+
+  update(value, gradient, state, learningRate) {
+    state.v = this.momentum * (state.v ?? 0) - learningRate * gradient;
+    return value + state.v;
+  }
+
+  toJSON() {
+    return { type: this.type, momentum: this.momentum };
+  }
+}
+
+/**
+ * @class NesterovOptimizer
+ * @extends Optimizer
+ * @classdesc Momentum de Nesterov (forme sans évaluation anticipée) :
+ * v ← μ·v - η·g ; w ← w - μ·v_prec + (1 + μ)·v
+ */
+class NesterovOptimizer extends Optimizer {
+  /**
+   * @param {{momentum?: number}} [params]
+   */
+  constructor({ momentum = 0.9 } = {}) {
+    super("nesterov");
+    this.momentum = momentum;
+  }
+
+  update(value, gradient, state, learningRate) {
+    const previous = state.v ?? 0;
+    state.v = this.momentum * previous - learningRate * gradient;
+    return value - this.momentum * previous + (1 + this.momentum) * state.v;
+  }
+
+  toJSON() {
+    return { type: this.type, momentum: this.momentum };
+  }
+}
+
+/**
+ * @class RMSPropOptimizer
+ * @extends Optimizer
+ * @classdesc RMSProp : le pas est divisé par la moyenne mobile du carré des gradients.
+ * s ← ρ·s + (1 - ρ)·g² ; w ← w - η·g / (√s + ε)
+ */
+class RMSPropOptimizer extends Optimizer {
+  /**
+   * @param {{decay?: number, epsilon?: number}} [params]
+   */
+  constructor({ decay = 0.9, epsilon = 1e-8 } = {}) {
+    super("rmsprop");
+    this.decay = decay;
+    this.epsilon = epsilon;
+  }
+
+  update(value, gradient, state, learningRate) {
+    state.s = this.decay * (state.s ?? 0) + (1 - this.decay) * gradient * gradient;
+    return value - learningRate * gradient / (Math.sqrt(state.s) + this.epsilon);
+  }
+
+  toJSON() {
+    return { type: this.type, decay: this.decay, epsilon: this.epsilon };
+  }
+}
+
+/**
+ * @class AdagradOptimizer
+ * @extends Optimizer
+ * @classdesc Adagrad : le pas est divisé par la somme cumulée du carré des gradients.
+ * s ← s + g² ; w ← w - η·g / (√s + ε)
+ */
+class AdagradOptimizer extends Optimizer {
+  /**
+   * @param {{epsilon?: number}} [params]
+   */
+  constructor({ epsilon = 1e-8 } = {}) {
+    super("adagrad");
+    this.epsilon = epsilon;
+  }
+
+  update(value, gradient, state, learningRate) {
+    state.s = (state.s ?? 0) + gradient * gradient;
+    return value - learningRate * gradient / (Math.sqrt(state.s) + this.epsilon);
+  }
+
+  toJSON() {
+    return { type: this.type, epsilon: this.epsilon };
+  }
+}
+
+/**
+ * @class AdamOptimizer
+ * @extends Optimizer
+ * @classdesc Adam : moments d'ordre 1 et 2 avec correction du biais d'initialisation.
+ * m ← β1·m + (1 - β1)·g ; v ← β2·v + (1 - β2)·g² ; w ← w - η·m̂ / (√v̂ + ε)
+ */
+class AdamOptimizer extends Optimizer {
+  /**
+   * @param {{beta1?: number, beta2?: number, epsilon?: number}} [params]
+   */
+  constructor({ beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8 } = {}) {
+    super("adam");
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.epsilon = epsilon;
+  }
+
+  update(value, gradient, state, learningRate) {
+    state.t = (state.t ?? 0) + 1;
+    state.m = this.beta1 * (state.m ?? 0) + (1 - this.beta1) * gradient;
+    state.v = this.beta2 * (state.v ?? 0) + (1 - this.beta2) * gradient * gradient;
+
+    const mHat = state.m / (1 - Math.pow(this.beta1, state.t));
+    const vHat = state.v / (1 - Math.pow(this.beta2, state.t));
+    return value - learningRate * mHat / (Math.sqrt(vHat) + this.epsilon);
+  }
+
+  toJSON() {
+    return { type: this.type, beta1: this.beta1, beta2: this.beta2, epsilon: this.epsilon };
+  }
+}
+
+/**
+ * Registre des optimiseurs disponibles, indexés par leur identifiant.
+ */
+const Optimizers = {
+  sgd: SGDOptimizer,
+  momentum: MomentumOptimizer,
+  nesterov: NesterovOptimizer,
+  rmsprop: RMSPropOptimizer,
+  adagrad: AdagradOptimizer,
+  adam: AdamOptimizer
+};
@@ -39,6 +39,9 @@
  * - Visualisation pédagogique des réseaux de neurones
  */
 class Perceptron {
+  /** Variantes de l'algorithme d'apprentissage acceptées par `fit()` (option `algorithm`). */
+  static ALGORITHMS = ["perceptron", "pocket", "averaged", "voted"];
+
   /**
    * Crée une instance du perceptron.
    *
@@ -51,14 +54,17 @@ class Perceptron {
    * @param {number} inputSize - Nombre d'entrées du perceptron.
    * @param {number} [learningRate=0.1] - Taux d'apprentissage utilisé pour la mise à jour des poids.
    * @param {boolean} [disableThreshold=false] - Indique si le seuil d'activation doit être désactivé.
+   * @param {RandomGenerator|null} [rng=Random] - Générateur utilisé pour tirer les poids et le biais initiaux.
+   * null : poids et biais à 0, sans tirage (l'appelant les initialise lui-même, ex: `NeuralNetwork`).
    */
-  constructor(inputSize, learningRate = 0.1, disableThreshold = false) {
+  constructor(inputSize, learningRate = 0.1, disableThreshold = false, rng = Random) {
     this.learningRate = learningRate;
-    this.weights = Array.from({ length: inputSize }, () => Math.random() * 2 - 1); // [-1, 1]
-    this.bias = Math.random() * 2 - 1;
+    this.weights = Array.from({ length: inputSize }, () => rng ? Initializers.uniform.f(1, 1, rng) : 0); // [-1, 1]
+    this.bias = rng ? Initializers.uniform.f(1, 1, rng) : 0;
     this.activationThreshold = 0;
     this.disableThreshold = disableThreshold;
     this.name = "Perceptron";
+    this.votes = null; // Vecteurs de poids pondérés du perceptron voté (voir fit()), null sinon
   }
 
   /**
@@ -87,13 +93,61 @@ class Perceptron {
     * @returns {number} 0 ou 1 selon le résultat de la fonction d’activation.
     */
   predict(input) {
+    if (this.votes) {
+      return this.vote(input);
+    }
+    return this.activate(this.weightedSum(input));
+  }
+
+  /**
+    * Prédiction du perceptron voté : chaque vecteur de poids retenu pendant `fit(..., { algorithm: "voted" })`
+    * vote pour 1 ou 0, avec un poids égal au nombre d'exemples qu'il a classés correctement d'affilée.
+    *
+    * @param {number[]} input - Tableau d’entrées numériques.
+    * @returns {number} 1 si la majorité pondérée vote 1, sinon 0.
+    */
+  vote(input) {
+    return this.decisionFunction(input) > 0 ? 1 : 0;
+  }
+
+  /**
+    * Score de décision du perceptron tel qu'il a été entraîné : somme des votes pondérés (±count) pour le
+    * perceptron voté, sinon somme pondérée des poids courants (qui sont déjà les poids moyennés ou « en poche »
+    * après `fit()` avec ces variantes). Plus le score est grand, plus le perceptron est sûr de répondre 1.
+    * Utilisé par `OneVsRestClassifier` pour départager les classes.
+    *
+    * @param {number[]} input - Tableau d’entrées numériques.
+    * @returns {number}
+    */
+  decisionFunction(input) {
+    if (!this.votes) {
+      return this.weightedSum(input);
+    }
+    let total = 0;
+    for (const { weights, bias, count } of this.votes) {
+      let sum = bias;
+      for (let i = 0; i < input.length; i++) {
+        sum += weights[i] * input[i];
+      }
+      total += count * (2 * this.activate(sum) - 1);
+    }
+    return total;
+  }
 
+  /**
+    * Calcule la somme pondérée des entrées, biais inclus (avant le seuil).
+    * Comparée au seuil, elle donne la décision du perceptron, sa valeur la « confiance » de cette décision
+    * (voir aussi `decisionFunction()`).
+    *
+    * @param {number[]} input - Tableau d’entrées numériques.
+    * @returns {number} z = Σ wᵢ·xᵢ + b
+    */
+  weightedSum(input) {
     let sum = this.bias;
     for (let i = 0; i < input.length; i++) {
       sum += this.weights[i] * input[i];
     }
-    
-    return this.activate(sum);
+    return sum;
   }
 
   /**
@@ -104,6 +158,7 @@ class Perceptron {
     * @param {number} target - Valeur cible (0 ou 1).
     */
   train(input, target) {
+    this.votes = null; // Un nouvel apprentissage repasse en perceptron simple
     const prediction = this.predict(input);
     const error = target - prediction;
 
@@ -118,8 +173,9 @@ class Perceptron {
    * Réinitialise les poids et le biais avec des valeurs aléatoires
    */
   reset() {
-    this.weights = this.weights.map(() => Math.random() * 2 - 1);
-    this.bias = Math.random() * 2 - 1;
+    this.votes = null;
+    this.weights = this.weights.map(() => Initializers.uniform.f());
+    this.bias = Initializers.uniform.f();
   }
 
   /**
@@ -147,6 +203,7 @@ class Perceptron {
    * @param {number[]} weights - Un tableau contenant les nouveaux poids.
    */
   setWeights(weights) {
+    this.votes = null;
     this.weights = [...weights];
   }
 
@@ -156,6 +213,7 @@ class Perceptron {
    * @param {number} bias - La nouvelle valeur du biais.
    */
   setBias(bias) {
+    this.votes = null;
     this.bias = bias;
   }
 
@@ -188,6 +246,16 @@ class Perceptron {
    * plusieurs itérations (epochs) pour ajuster les poids et le biais.
    * À chaque epoch, l'ensemble des exemples est traité séquentiellement
    * (avec possibilité de les mélanger avant chaque passage).
+   * L'apprentissage s'arrête dès qu'une epoch se termine sans erreur (sauf pour les variantes moyennée
+   * et votée, qui utilisent toutes les epochs pour donner plus de poids à la solution trouvée).
+   *
+   * Sur des données non linéairement séparables (ex: XOR), la règle du perceptron oscille
+   * sans fin. L'option `algorithm` permet alors d'obtenir malgré tout une solution stable :
+   * - "perceptron" : règle classique, les poids finaux sont ceux de la dernière mise à jour ;
+   * - "pocket" : garde « en poche » les poids qui ont fait le moins d'erreurs sur tout le jeu de données ;
+   * - "averaged" : les poids finaux sont la moyenne des poids obtenus après chaque exemple ;
+   * - "voted" : chaque vecteur de poids rencontré vote, pondéré par le nombre d'exemples qu'il a
+   *   classés correctement d'affilée (`predict()` utilise ce vote, les poids affichés restent les derniers).
    *
    * @param {Array<Object>} data 
    *        Tableau d'objets de la forme :
@@ -198,27 +266,102 @@ class Perceptron {
    *        où `x` est le vecteur d'entrée et `y` la sortie attendue (0 ou 1).
    *
    * @param {Number} [epochs=20]
-   *        Nombre de passages complets sur l'ensemble de données.
+   *        Nombre maximal de passages complets sur l'ensemble de données.
    *
    * @param {Boolean} [shuffle=true]
    *        Si vrai, mélange l'ordre des exemples à chaque epoch
    *        afin d'éviter un biais lié à l'ordre des données.
    *
-   * @return {void}
+   * @param {Object} [options]
+   * @param {"perceptron"|"pocket"|"averaged"|"voted"} [options.algorithm="perceptron"]
+   *        Variante de l'algorithme (voir `Perceptron.ALGORITHMS`).
    *
-   * @note L'algorithme converge uniquement si les données
-   *       sont linéairement séparables.
-   * @note La méthode `train()` est appelée en interne pour chaque exemple.
+   * @return {{ algorithm: string, epochs: number, errors: number[], converged: boolean, finalErrors: number }}
+   *         Rapport de convergence : nombre d'epochs effectuées, nombre d'exemples mal classés
+   *         pendant chaque epoch, `converged` vrai si une epoch s'est terminée sans erreur, et
+   *         nombre d'exemples mal classés par le perceptron obtenu en fin d'apprentissage.
+   *
+   * @note Seul l'algorithme classique garantit de converger, et uniquement si les données
+   *       sont linéairement séparables : `converged` reste faux dans le cas contraire.
+   * @note La méthode `train()` est appelée en interne pour chaque exemple mal classé.
    * @warning Pour un bon apprentissage, normalisez les données d'entrée.
    */
-  fit(data, epochs = 20, shuffle = true) {
-    for (let e = 0; e < epochs; e++) {
+  fit(data, epochs = 20, shuffle = true, options = {}) {
+    const { algorithm = "perceptron" } = options;
+    if (!Perceptron.ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Algorithme inconnu : ${algorithm} (attendu : ${Perceptron.ALGORITHMS.join(", ")}).`);
+    }
+
+    this.votes = null;
+    data = [...data];
+    const report = { algorithm, epochs: 0, errors: [], converged: false, finalErrors: 0 };
+
+    // État propre à chaque variante
+    let pocket = { weights: [...this.weights], bias: this.bias, errors: this.countErrors(data) };
+    const sum = { weights: this.weights.map(() => 0), bias: 0, count: 0 };
+    const votes = [];
+    let survival = 0; // Nombre d'exemples bien classés d'affilée par les poids courants
+    const stopWhenConverged = algorithm === "perceptron" || algorithm === "pocket";
+
+    for (let e = 0; e < epochs && !(report.converged && stopWhenConverged); e++) {
       if (shuffle) {
-        data = data.sort(() => Math.random() - 0.5);
+        Random.shuffle(data);
       }
+
+      let errors = 0;
       for (const { x, y } of data) {
-        this.train(x, y);
+        if (this.predict(x) !== y) {
+          errors++;
+          if (algorithm === "voted" && survival > 0) {
+            votes.push({ weights: [...this.weights], bias: this.bias, count: survival });
+          }
+          this.train(x, y);
+          survival = 1;
+
+          if (algorithm === "pocket") {
+            const current = this.countErrors(data);
+            if (current < pocket.errors) {
+              pocket = { weights: [...this.weights], bias: this.bias, errors: current };
+            }
+          }
+        } else {
+          survival++;
+        }
+
+        if (algorithm === "averaged") {
+          this.weights.forEach((w, i) => sum.weights[i] += w);
+          sum.bias += this.bias;
+          sum.count++;
+        }
       }
+
+      report.epochs++;
+      report.errors.push(errors);
+      report.converged = errors === 0;
     }
+
+    if (algorithm === "pocket") {
+      this.weights = pocket.weights;
+      this.bias = pocket.bias;
+    } else if (algorithm === "averaged" && sum.count > 0) {
+      this.weights = sum.weights.map(w => w / sum.count);
+      this.bias = sum.bias / sum.count;
+    } else if (algorithm === "voted") {
+      votes.push({ weights: [...this.weights], bias: this.bias, count: survival });
+      this.votes = votes;
+    }
+
+    report.finalErrors = this.countErrors(data);
+    return report;
+  }
+
+  /**
+   * Compte les exemples mal classés par le perceptron dans son état actuel.
+   *
+   * @param {Array<{x: number[], y: number}>} data - Exemples étiquetés.
+   * @returns {number} Nombre d'exemples dont la prédiction diffère de `y`.
+   */
+  countErrors(data) {
+    return data.filter(({ x, y }) => this.predict(x) !== y).length;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,134 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * @class RandomGenerator
+ * @classdesc Générateur de nombres pseudo-aléatoires initialisable (algorithme Mulberry32).
+ *
+ * Toutes les tirages aléatoires de NoodleML (initialisation des poids, mélange des exemples, dropout...)
+ * passent par un générateur de ce type. Avec une graine fixée, une démonstration ou un test
+ * se rejoue à l'identique. L'état tient dans un entier 32 bits et peut être sauvegardé avec le modèle.
+ */
+class RandomGenerator {
+  /**
+   * @param {number|null} [seed=null] - Graine entière. Sans graine, une graine aléatoire est choisie.
+   */
+  constructor(seed = null) {
+    this.setSeed(seed ?? Math.floor(Math.random() * 4294967296));
+  }
+
+  /**
+   * Réinitialise le générateur avec une nouvelle graine.
+   * @param {number} seed - Graine entière (ramenée sur 32 bits).
+   */
+  setSeed(seed) {
+    if (typeof seed !== 'number' || !Number.isFinite(seed)) {
+      throw new Error("La graine doit être un nombre fini.");
+    }
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Retourne l'état interne du générateur (pour la sauvegarde).
+   * @returns {number}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restaure un état interne précédemment obtenu avec `getState()`.
+   * @param {number} state 
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Tire un nombre uniforme dans [0, 1[ (remplace `Math.random()`).
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Tire un nombre uniforme dans [min, max[.
+   * @param {number} [min=0] 
+   * @param {number} [max=1] 
+   * @returns {number}
+   */
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Tire un entier uniforme dans [0, n[.
+   * @param {number} n 
+   * @returns {number}
+   */
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Tire un nombre selon une loi normale (méthode de Box-Muller).
+   * @param {number} [mean=0] - Moyenne.
+   * @param {number} [std=1] - Écart-type.
+   * @returns {number}
+   */
+  normal(mean = 0, std = 1) {
+    const u = 1 - this.next(); // ]0, 1] pour éviter log(0)
+    const v = this.next();
+    return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Mélange un tableau sur place (algorithme de Fisher-Yates).
+   * @param {Array} array 
+   * @returns {Array} Le tableau mélangé.
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
+
+/**
+ * Générateur partagé par toute la bibliothèque lorsqu'aucun générateur propre n'est fourni.
+ * `Random.setSeed(42)` rend reproductibles les réseaux, perceptrons et démonstrations créés ensuite.
+ */
+const Random = new RandomGenerator();
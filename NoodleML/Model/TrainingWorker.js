@@ -0,0 +1,287 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * @class TrainingWorker
+ * @classdesc Entraîne un `NeuralNetwork` dans un worker pour ne pas bloquer la page (animations, canvas).
+ *
+ * Le réseau est sérialisé (`toJSON()`) puis reconstruit dans le worker (`TrainingWorkerScript.js`), qui y exécute
+ * `train()`. Pendant l'entraînement, le worker renvoie les mesures de chaque epoch et, périodiquement, un instantané
+ * des poids : ces poids sont recopiés dans le réseau de la page, ce qui permet aux vues de se redessiner.
+ * À la fin, le réseau de la page reçoit l'état complet du réseau entraîné (poids, état de l'optimiseur, historique).
+ *
+ * La pause et l'annulation passent par un `SharedArrayBuffer` partagé avec le worker. Dans un navigateur, il n'est
+ * disponible que si la page est isolée (`crossOriginIsolated`, en-têtes COOP/COEP) ; sinon la pause est impossible et
+ * l'annulation arrête le worker (`terminate()`).
+ *
+ * Exemple :
+ *   const trainer = new TrainingWorker(network);
+ *   const history = await trainer.train(inputs, targets, 500, 0.1, {
+ *     snapshotEvery: 10,
+ *     onEpochEnd: (epoch, logs) => console.log(epoch, logs.loss),
+ *     onSnapshot: () => networkView.draw()
+ *   });
+ *
+ * Sous Node, le worker est créé avec `worker_threads` (le script charge alors le modèle depuis le paquet noodleml).
+ * `new Worker()` n'accepte qu'un chemin absolu, un chemin commençant par "./" ou une URL file: : le plus sûr est de
+ * résoudre le script à partir du paquet :
+ *   import { Worker } from 'node:worker_threads';
+ *   const scriptUrl = new URL('./Model/TrainingWorkerScript.js', import.meta.resolve('noodleml'));
+ *   new TrainingWorker(network, { scriptUrl, createWorker: url => new Worker(url) });
+ */
+class TrainingWorker {
+  /** États partagés avec le worker. */
+  static RUNNING = 0;
+  static PAUSED = 1;
+  static CANCELLED = 2;
+
+  /** Chemin par défaut du script exécuté par le worker. */
+  static DEFAULT_SCRIPT = "NoodleML/Model/TrainingWorkerScript.js";
+
+  /**
+   * @param {NeuralNetwork} network - Réseau de la page, mis à jour au fil de l'entraînement.
+   * @param {object} [options] 
+   * @param {string|URL} [options.scriptUrl=TrainingWorker.DEFAULT_SCRIPT] - URL du script du worker, relative à la page
+   * dans un navigateur ; sous Node, chemin absolu ou URL file: (voir l'exemple de la classe).
+   * @param {function(string): object} [options.createWorker] - Crée le worker à partir de l'URL
+   * (par défaut `new Worker(url)` du navigateur).
+   */
+  constructor(network, { scriptUrl = TrainingWorker.DEFAULT_SCRIPT, createWorker = url => new Worker(url) } = {}) {
+    this.network = network;
+    this.worker = createWorker(scriptUrl);
+    this.pending = null; // Entraînement en cours : { resolve, reject, onEpochEnd, onSnapshot }
+
+    // État partagé (RUNNING, PAUSED, CANCELLED), lu par le worker entre deux batchs
+    const shared = typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated !== false;
+    this.control = shared ? new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT)) : null;
+
+    // Worker du navigateur (événements DOM) ou de Node (EventEmitter)
+    if (typeof this.worker.on === 'function') {
+      this.worker.on('message', message => this.handleMessage(message));
+      this.worker.on('error', error => this.fail(error));
+    } else {
+      this.worker.addEventListener('message', event => this.handleMessage(event.data));
+      this.worker.addEventListener('error', event => this.fail(new Error(event.message)));
+    }
+  }
+
+  /**
+   * Lance l'entraînement dans le worker.
+   * Les options sont celles de `NeuralNetwork.train()`, à l'exception des fonctions (métriques personnalisées,
+   * `onBatchEnd`, `signal`) qui ne peuvent pas être transmises au worker.
+   *
+   * @param {number[][]} inputs 
+   * @param {number[][]} targets 
+   * @param {number} epochs 
+   * @param {number} [learningRate=0.1] 
+   * @param {object} [options] 
+   * @param {function(number, object): (void|boolean)} [options.onEpochEnd] - Appelé dans la page après chaque epoch
+   * avec (indice de l'epoch, mesures de l'epoch). Retourner `false` annule l'entraînement (les messages étant
+   * asynchrones, le worker a pu exécuter quelques epochs de plus).
+   * @param {function(object, number): void} [options.onSnapshot] - Appelé après la recopie d'un instantané des poids
+   * dans le réseau de la page, avec (paramètres, indice de l'epoch).
+   * @param {number} [options.snapshotEvery=1] - Nombre d'epochs entre deux instantanés des poids (0 = aucun).
+   * @returns {Promise<object|null>} Historique de l'entraînement (voir `NeuralNetwork.train()`), ou null si le
+   * worker a dû être arrêté pour annuler l'entraînement.
+   */
+  train(inputs, targets, epochs, learningRate = 0.1, options = {}) {
+    if (!this.worker) {
+      return Promise.reject(new Error("Le worker a été arrêté."));
+    }
+    if (this.pending) {
+      return Promise.reject(new Error("Un entraînement est déjà en cours dans ce worker."));
+    }
+
+    const { onEpochEnd, onSnapshot, snapshotEvery = 1, metrics, onBatchEnd, signal, ...trainOptions } = options;
+    if (metrics || onBatchEnd || signal) {
+      return Promise.reject(new Error("Les options metrics, onBatchEnd et signal ne peuvent pas être transmises au worker."));
+    }
+
+    if (this.control) {
+      Atomics.store(this.control, 0, TrainingWorker.RUNNING);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject, onEpochEnd, onSnapshot };
+      this.worker.postMessage({
+        type: "train",
+        network: this.network.toJSON(),
+        inputs,
+        targets,
+        epochs,
+        learningRate,
+        options: trainOptions,
+        snapshotEvery,
+        control: this.control?.buffer ?? null
+      });
+    });
+  }
+
+  /**
+   * Indique si un entraînement est en cours.
+   * @returns {boolean}
+   */
+  isTraining() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Indique si l'entraînement est en pause.
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.control !== null && Atomics.load(this.control, 0) === TrainingWorker.PAUSED;
+  }
+
+  /**
+   * Suspend l'entraînement à la fin du batch en cours.
+   */
+  pause() {
+    if (!this.control) {
+      throw new Error("La pause nécessite SharedArrayBuffer (page isolée avec crossOriginIsolated).");
+    }
+    Atomics.compareExchange(this.control, 0, TrainingWorker.RUNNING, TrainingWorker.PAUSED);
+  }
+
+  /**
+   * Reprend un entraînement suspendu.
+   */
+  resume() {
+    if (!this.control) {
+      return;
+    }
+    if (Atomics.compareExchange(this.control, 0, TrainingWorker.PAUSED, TrainingWorker.RUNNING) === TrainingWorker.PAUSED) {
+      Atomics.notify(this.control, 0);
+    }
+  }
+
+  /**
+   * Annule l'entraînement en cours. Le worker termine le batch courant puis renvoie l'état atteint, qui est
+   * appliqué au réseau de la page ; la promesse de `train()` est résolue avec l'historique partiel.
+   * Sans SharedArrayBuffer, le worker est arrêté et la promesse est résolue avec null.
+   */
+  cancel() {
+    if (!this.pending) {
+      return;
+    }
+    if (this.control) {
+      Atomics.store(this.control, 0, TrainingWorker.CANCELLED);
+      Atomics.notify(this.control, 0);
+    } else {
+      // La promesse est retirée avant l'arrêt du worker, pour que terminate() ne la rejette pas
+      const { resolve } = this.pending;
+      this.pending = null;
+      this.terminate();
+      resolve(null);
+    }
+  }
+
+  /**
+   * Arrête définitivement le worker (un entraînement en cours est rejeté).
+   */
+  terminate() {
+    if (!this.worker) {
+      return;
+    }
+    this.worker.terminate();
+    this.worker = null;
+    this.fail(new Error("Le worker a été arrêté."));
+  }
+
+  /**
+   * Traite un message du worker : mesures d'une epoch, instantané des poids, fin ou erreur.
+   * @param {{type: string}} message 
+   */
+  handleMessage(message) {
+    const pending = this.pending;
+    if (!pending) {
+      return;
+    }
+
+    switch (message.type) {
+      case "epoch":
+        if (pending.onEpochEnd?.(message.epoch, message.logs) === false) {
+          this.cancel();
+        }
+        break;
+
+      case "snapshot":
+        this.network.setParameters(message.parameters);
+        pending.onSnapshot?.(message.parameters, message.epoch);
+        break;
+
+      case "done":
+        this.pending = null;
+        this.applyState(message.network);
+        pending.resolve(message.history);
+        break;
+
+      case "error":
+        this.fail(new Error(message.message));
+        break;
+    }
+  }
+
+  /**
+   * Rejette l'entraînement en cours.
+   * @param {Error} error 
+   */
+  fail(error) {
+    const pending = this.pending;
+    this.pending = null;
+    pending?.reject(error);
+  }
+
+  /**
+   * Recopie dans le réseau de la page l'état du réseau entraîné par le worker (même topologie).
+   * @param {object} json - Réseau entraîné, au format de `NeuralNetwork.toJSON()`.
+   */
+  applyState(json) {
+    const trained = NeuralNetwork.fromJSON(json);
+    const network = this.network;
+
+    network.setParameters(trained.getParameters());
+    network.layers.forEach((layer, l) => layer.forEach((neuron, j) => {
+      const source = trained.layers[l][j];
+      neuron.connections.forEach((conn, k) => conn.optimizerState = source.connections[k].optimizerState);
+      neuron.biasOptimizerState = source.biasOptimizerState;
+    }));
+
+    network.optimizer = trained.optimizer;
+    network.lossFunction = trained.lossFunction;
+    network.learningRate = trained.learningRate;
+    network.epoch = trained.epoch;
+    network.step = trained.step;
+    network.history = json.history;
+
+    // Seul un générateur propre au réseau reprend l'état du worker : le générateur partagé Random sert aussi ailleurs
+    if (network.rng !== Random) {
+      network.rng.setState(json.randomState);
+    }
+  }
+}
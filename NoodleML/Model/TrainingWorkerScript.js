@@ -0,0 +1,109 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * Script exécuté dans le worker créé par `TrainingWorker` (Web Worker du navigateur ou `worker_threads` de Node).
+ *
+ * Protocole :
+ * - reçoit { type: "train", network, inputs, targets, epochs, learningRate, options, snapshotEvery, control }
+ * - envoie { type: "epoch", epoch, logs } après chaque epoch
+ * - envoie { type: "snapshot", epoch, parameters } toutes les `snapshotEvery` epochs
+ * - envoie { type: "done", history, network } à la fin (ou après une annulation), { type: "error", message } en cas d'échec
+ *
+ * `control` est le SharedArrayBuffer de l'état partagé (RUNNING, PAUSED, CANCELLED), consulté après chaque batch.
+ */
+
+/** Scripts du modèle chargés dans un Web Worker, relatifs à ce fichier. */
+const MODEL_SCRIPTS = [
+  "ActivationFunctions.js",
+  "Random.js",
+  "Initializers.js",
+  "LossFunctions.js",
+  "Optimizers.js",
+  "LearningRateSchedules.js",
+  "Perceptron.js",
+  "Neuron.js",
+  "LayerMatrix.js",
+  "NeuralNetwork.js",
+  "TrainingWorker.js"
+];
+
+let postToPage;
+
+if (typeof importScripts === 'function') {
+  importScripts(...MODEL_SCRIPTS);
+  postToPage = message => self.postMessage(message);
+  self.onmessage = event => handleMessage(event.data);
+} else {
+  // Node (worker_threads) : ce fichier est alors un module ES ; le modèle est chargé depuis le paquet noodleml
+  // et exposé dans la portée globale comme dans le navigateur. Les messages reçus entre-temps restent en attente.
+  Promise.all([import('node:worker_threads'), import('noodleml')]).then(([{ parentPort }, NoodleML]) => {
+    Object.assign(globalThis, NoodleML);
+    postToPage = message => parentPort.postMessage(message);
+    parentPort.on('message', handleMessage);
+  });
+}
+
+/**
+ * Entraîne le réseau reçu et renvoie la progression à la page.
+ * @param {object} message 
+ */
+function handleMessage(message) {
+  if (message.type !== "train") {
+    return;
+  }
+
+  const { inputs, targets, epochs, learningRate, options, snapshotEvery, control } = message;
+  const state = control ? new Int32Array(control) : null;
+
+  // Bloque le worker tant que la page a demandé une pause
+  const waitWhilePaused = () => {
+    while (state && Atomics.load(state, 0) === TrainingWorker.PAUSED) {
+      Atomics.wait(state, 0, TrainingWorker.PAUSED);
+    }
+  };
+
+  try {
+    const network = NeuralNetwork.fromJSON(message.network);
+    const history = network.train(inputs, targets, epochs, learningRate, {
+      ...options,
+      signal: { get aborted() { return state !== null && Atomics.load(state, 0) === TrainingWorker.CANCELLED; } },
+      onBatchEnd: waitWhilePaused,
+      onEpochEnd: (epoch, logs) => {
+        postToPage({ type: "epoch", epoch, logs });
+        if (snapshotEvery > 0 && (epoch + 1) % snapshotEvery === 0) {
+          postToPage({ type: "snapshot", epoch, parameters: network.getParameters() });
+        }
+        waitWhilePaused();
+      }
+    });
+    postToPage({ type: "done", history, network: network.toJSON() });
+  } catch (error) {
+    postToPage({ type: "error", message: error.message });
+  }
+}
@@ -0,0 +1,192 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * @class DecisionRegionView
+ * @classdesc Affiche les régions de décision d'un classifieur multi-classes sur [0, 1]² : chaque pixel prend
+ * la couleur de la classe prédite pour le point (x1, x2) correspondant.
+ *
+ * Le classifieur peut être un `MultiClassPerceptron`, un `OneVsRestClassifier`, un `NeuralNetwork`
+ * (sortie softmax : classe = sortie la plus activée ; sortie unique : classe 0 ou 1 selon le seuil 0.5)
+ * ou une simple fonction `(input) => classe`.
+ *
+ * @example
+ * const view = new DecisionRegionView(ctx, 20, 40, 200, perceptron);
+ * view.draw("Perceptron multi-classes");
+ * view.drawPoints(data); // data = [{ x: [x1, x2], y: classe }, ...]
+ */
+class DecisionRegionView {
+    /** Couleurs des classes, dans l'ordre des labels (réutilisées au-delà de 8 classes). */
+    static COLORS = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#42d4f4", "#f032e6", "#bfef45"];
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx - Le contexte du canvas sur lequel dessiner.
+     * @param {number} x - Position horizontale de la heatmap sur le canvas.
+     * @param {number} y - Position verticale de la heatmap sur le canvas.
+     * @param {number} size - Largeur et hauteur de la heatmap, en pixels.
+     * @param {object|function(number[]): number} classifier - Classifieur doté de `predictClass(input)`,
+     * `NeuralNetwork`, ou fonction retournant l'indice de la classe.
+     * @param {string[]} [colors=DecisionRegionView.COLORS] - Couleur de chaque classe (format "#rrggbb").
+     */
+    constructor(ctx, x, y, size, classifier, colors = DecisionRegionView.COLORS) {
+        this.ctx = ctx;
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.classifier = classifier;
+        this.colors = colors;
+        this.regionShade = 0.55; // Assombrit les régions pour que les points restent visibles
+    }
+
+    /**
+     * Calcule la classe prédite pour chaque pixel, rangée ligne par ligne (du haut vers le bas).
+     * Un `NeuralNetwork` est évalué en un seul appel à `predictBatch()` : classe = sortie la plus activée, ou,
+     * pour un réseau à une seule sortie (classifieur binaire), 1 si la sortie atteint 0.5 (comme `NeuralNetwork.accuracy`).
+     *
+     * @returns {Int32Array} Classe prédite de chaque pixel.
+     */
+    classifyGrid() {
+        const gridSize = this.size;
+        const classes = new Int32Array(gridSize * gridSize);
+
+        if (this.classifier instanceof NeuralNetwork) {
+            const grid = new Float64Array(gridSize * gridSize * 2);
+            for (let j = 0; j < gridSize; j++) {
+                for (let i = 0; i < gridSize; i++) {
+                    const idx = (j * gridSize + i) * 2;
+                    grid[idx] = i / gridSize;
+                    grid[idx + 1] = 1 - j / gridSize;
+                }
+            }
+            const predictions = this.classifier.predictBatch(grid);
+            const outputCount = predictions.length / classes.length;
+            for (let n = 0; n < classes.length; n++) {
+                classes[n] = outputCount === 1
+                    ? (predictions[n] >= 0.5 ? 1 : 0)
+                    : NeuralNetwork.argmax(predictions.subarray(n * outputCount, (n + 1) * outputCount));
+            }
+            return classes;
+        }
+
+        const classify = typeof this.classifier === 'function'
+            ? this.classifier
+            : input => this.classifier.predictClass(input);
+        for (let j = 0; j < gridSize; j++) {
+            for (let i = 0; i < gridSize; i++) {
+                classes[j * gridSize + i] = classify([i / gridSize, 1 - j / gridSize]);
+            }
+        }
+        return classes;
+    }
+
+    /**
+     * Dessine les régions de décision, le titre et le cadre.
+     *
+     * @param {string} [title=""] - Titre affiché au-dessus de la heatmap.
+     */
+    draw(title = "") {
+        const imageData = this.ctx.createImageData(this.size, this.size);
+        const palette = this.colors.map(color => DecisionRegionView.hexToRgb(color).map(c => Math.floor(c * this.regionShade)));
+        const classes = this.classifyGrid();
+
+        for (let n = 0; n < classes.length; n++) {
+            const [r, g, b] = palette[classes[n] % palette.length];
+            imageData.data[n * 4] = r;
+            imageData.data[n * 4 + 1] = g;
+            imageData.data[n * 4 + 2] = b;
+            imageData.data[n * 4 + 3] = 255;
+        }
+
+        this.ctx.putImageData(imageData, this.x, this.y);
+
+        if (title) {
+            this.ctx.fillStyle = "#ccc";
+            this.ctx.font = "16px sans-serif";
+            this.ctx.fillText(title, this.x + (this.size / 2) - (this.ctx.measureText(title).width / 2), this.y - 10);
+        }
+
+        this.ctx.strokeStyle = "#fff";
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(this.x, this.y, this.size, this.size);
+    }
+
+    /**
+     * Superpose les exemples d'apprentissage, colorés selon leur classe réelle.
+     * Un point dont la couleur diffère de la région qui l'entoure est mal classé.
+     *
+     * @param {Array<{x: number[], y: number}>} data - Exemples à afficher (entrées dans [0, 1]²).
+     * @param {number} [radius=4] - Rayon des points, en pixels.
+     */
+    drawPoints(data, radius = 4) {
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = "#fff";
+        for (const { x, y } of data) {
+            this.ctx.fillStyle = this.getColor(y);
+            this.ctx.beginPath();
+            this.ctx.arc(this.x + x[0] * this.size, this.y + (1 - x[1]) * this.size, radius, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * Retourne la couleur associée à une classe.
+     * @param {number} label - Indice de la classe.
+     * @returns {string}
+     */
+    getColor(label) {
+        return this.colors[label % this.colors.length];
+    }
+
+    /**
+     * Change le classifieur affiché (redessiner ensuite avec `draw()`).
+     * @param {object|function(number[]): number} classifier 
+     */
+    setClassifier(classifier) {
+        this.classifier = classifier;
+    }
+
+    /**
+     * Retourne le classifieur affiché.
+     * @returns {object|function(number[]): number}
+     */
+    getClassifier() {
+        return this.classifier;
+    }
+
+    /**
+     * Convertit une couleur "#rrggbb" en composantes [r, g, b].
+     * @param {string} hex 
+     * @returns {number[]}
+     */
+    static hexToRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+}
@@ -261,45 +261,33 @@ class HeatmapView {
     const image = this.ctx.createImageData(this.size, this.size);
 
     let nInputs = neuron.weights.length;
-    if (this.displayResultHeatmapIfPossible && nInputs == 1) {
-      // Mode d'affichage uniquement valide pour 1 entrée
+    if (this.displayResultHeatmapIfPossible && (nInputs == 1 || nInputs == 2)) {
+      // Mode d'affichage uniquement valide pour 1 entrée (x) ou 2 entrées (x, y) :
+      // la grille des entrées est rangée dans l'ordre des pixels et évaluée en un seul appel
+      const count = this.size * this.size;
+      const grid = new Float64Array(count * nInputs);
       for (let j = 0; j < this.size; j++) {
         for (let i = 0; i < this.size; i++) {
-          const x = i / this.size;
-          const y = 1 - j / this.size;
-
-          const out = neuron.predict([x]);
-          const act = Math.max(0, Math.min(1, out)); // Clamp entre 0 et 1
-
-          const r = Math.floor(255 * (1 - act));
-          const g = Math.floor(255 * act);
-          const idx = (j * this.size + i) * 4;
-
-          image.data[idx] = r;
-          image.data[idx + 1] = g;
-          image.data[idx + 2] = 0;
-          image.data[idx + 3] = 255;
+          const offset = (j * this.size + i) * nInputs;
+          grid[offset] = i / this.size;
+          if (nInputs == 2) {
+            grid[offset + 1] = 1 - j / this.size;
+          }
         }
       }
-    }
-    else if (this.displayResultHeatmapIfPossible && nInputs == 2) {
-      for (let j = 0; j < this.size; j++) {
-        for (let i = 0; i < this.size; i++) {
-          const x = i / this.size;
-          const y = 1 - j / this.size;
 
-          const out = neuron.predict([x, y]);
-          const act = Math.max(0, Math.min(1, out)); // Clamp entre 0 et 1
+      const outputs = typeof neuron.predictBatch === "function"
+        ? neuron.predictBatch(grid, nInputs)
+        : Float64Array.from({ length: count }, (_, p) => neuron.predict(Array.from(grid.subarray(p * nInputs, (p + 1) * nInputs))));
 
-          const r = Math.floor(255 * (1 - act));
-          const g = Math.floor(255 * act);
-          const idx = (j * this.size + i) * 4;
+      for (let p = 0; p < count; p++) {
+        const act = Math.max(0, Math.min(1, outputs[p])); // Clamp entre 0 et 1
+        const idx = p * 4;
 
-          image.data[idx] = r;
-          image.data[idx + 1] = g;
-          image.data[idx + 2] = 0;
-          image.data[idx + 3] = 255;
-        }
+        image.data[idx] = Math.floor(255 * (1 - act));
+        image.data[idx + 1] = Math.floor(255 * act);
+        image.data[idx + 2] = 0;
+        image.data[idx + 3] = 255;
       }
     }
     else {
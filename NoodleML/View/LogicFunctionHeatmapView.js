@@ -58,6 +58,36 @@ class LogicFunctionHeatmapView {
         this.binaryMode = true; // Mode binaire par défaut
     }
 
+    /**
+     * Calcule la première sortie du réseau pour chaque pixel de la heatmap, rangée dans l'ordre des pixels.
+     * Un réseau qui expose `predictBatch()` (`NeuralNetwork`) est évalué en un seul appel ; sinon (objet
+     * `{ predict }` imitant un réseau, ex: perceptron du chapitre 3), `predict()` est appelé pixel par pixel.
+     *
+     * @returns {Float64Array} `result[j * size + i]` est la sortie pour l'entrée (i / size, 1 - j / size).
+     */
+    predictGrid() {
+        const gridSize = this.size;
+        const count = gridSize * gridSize;
+
+        // Grille des entrées (x, y), rangée dans l'ordre des pixels
+        const grid = new Float64Array(count * 2);
+        for (let j = 0; j < gridSize; j++) {
+            for (let i = 0; i < gridSize; i++) {
+                const idx = (j * gridSize + i) * 2;
+                grid[idx] = i / gridSize;
+                grid[idx + 1] = 1 - j / gridSize;
+            }
+        }
+
+        if (typeof this.network.predictBatch !== "function") {
+            return Float64Array.from({ length: count }, (_, p) => this.network.predict([grid[p * 2], grid[p * 2 + 1]])[0]);
+        }
+
+        const predictions = this.network.predictBatch(grid);
+        const outputCount = predictions.length / count;
+        return Float64Array.from({ length: count }, (_, p) => predictions[p * outputCount]); // Première sortie
+    }
+
     /**
      * Dessine la heatmap binaire en fonction des sorties du réseau pour différentes entrées.
      * Chaque cellule de la heatmap représente la sortie binaire du réseau pour une paire d'entrées dans un espace 2D.
@@ -67,13 +97,12 @@ class LogicFunctionHeatmapView {
     draw(title = "") {
         const gridSize = this.size; // Taille de la grille de la heatmap
         const imageData = this.ctx.createImageData(this.size, this.size); // Crée une image vide de la heatmap
+        const predictions = this.predictGrid();
 
         // Remplissage de la heatmap avec les valeurs basées sur les prédictions du réseau
         for (let i = 0; i < gridSize; i++) {
             for (let j = 0; j < gridSize; j++) {
-                const x = i / gridSize;
-                const y = 1 - j / gridSize;
-                const pred = this.network.predict([x, y])[0]; // Prédiction du réseau pour cette position d'entrée
+                const pred = predictions[j * gridSize + i]; // Première sortie du réseau pour ce pixel
 
                 let r, g, b;
 
@@ -58,6 +58,7 @@ class NeuralNetworkView {
     this.ctx = ctx;                   // Contexte 2D du canvas
     this.network = network;           // Réseau de neurones à afficher
     this.neuronSize = neuronSize;     // Taille des neurones à afficher
+    this.maxNeuronSize = neuronSize;  // Taille demandée, réduite si nécessaire à chaque construction de la vue
     this.layerSpacing = 150;          // Espacement entre les couches de neurones
     this.neuronSpacing = 35;          // Espacement entre les neurones dans une couche
     this.availableHeight = canvasRect.height; // Hauteur disponible du canvas
@@ -110,7 +111,7 @@ class NeuralNetworkView {
 
     const layers = this.network.layers;
     let step = this.availableHeight / maxLayerSize;
-    this.neuronSize = Math.min(this.neuronSize, step - this.neuronSpacing);
+    this.neuronSize = Math.min(this.maxNeuronSize, step - this.neuronSpacing);
 
     const totalLayers = this.network.layerSizes.length;
 
@@ -266,6 +267,23 @@ class NeuralNetworkView {
     this.setColorMode(this.colorMode);
   }
 
+  /**
+   * @brief Reconstruit entièrement la vue après une modification de la topologie du réseau.
+   * @description
+   * Les vues des neurones et des connexions sont créées une fois pour toutes par `buildView()` :
+   * seules les connexions existantes au moment de la construction sont dessinées. Après un changement de
+   * connectivité (ex: `NeuralNetwork.setLayerConnectivity`) ou de topologie (`addLayer`, `removeLayer`,
+   * `insertNeuron`, `removeNeuron`, `setInputSize`, `setOutputSize`), cette méthode recrée les vues pour
+   * refléter l'état courant du réseau.
+   *
+   * @returns {void}
+   */
+  rebuild() {
+    this.neuronViews = [];
+    this.connections = [];
+    this.buildView();
+  }
+
   /**
    * @brief Définit le mode de couleur pour l'affichage du réseau.
    * @param {string} colorMode - Le mode de couleur à appliquer. Doit être `"light"` ou `"dark"`.
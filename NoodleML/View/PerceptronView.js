@@ -35,8 +35,8 @@ class PerceptronView {
      */
     constructor(ctx, canvasRect, perceptron, inputNames = null, outputNames = null, neuronSize = 80, displayResultHeatmapIfPossible = false, colorMode = "dark") {
 
-        if (perceptron instanceof Perceptron && perceptron.constructor === Perceptron) {
-            // Assure que le perceptron utilise une activation binaire
+        if (perceptron instanceof Perceptron && !(perceptron instanceof Neuron)) {
+            // Assure que le perceptron (ou l'Adaline) utilise une activation binaire
             // pour la compatibilité avec NeuralNetworkView
             perceptron.activation = ActivationFunctions.binary;
         } else if (!perceptron || !(perceptron instanceof Perceptron)) {
@@ -65,7 +65,8 @@ class Plot {
   /**
    * Dessine la fonction vraie + la prédiction du réseau.
    * 
-   * @param {function(number): number} predictFn - Fonction de prédiction.
+   * @param {function(number): number|{predictBatch: function}} predictFn - Fonction de prédiction, ou modèle à une
+   * entrée et une sortie (`NeuralNetwork`, `Neuron`) évalué en un seul appel via `predictBatch`.
    * @param {boolean} [forceRefresh=false] - Paramètre optionnel pour forcer le rafraîchissement du cache.
    */
   draw(predictFn, forceRefresh = false) {
@@ -114,7 +115,8 @@ class Plot {
    * La fonction vraie est tracée en bleu, et les erreurs sont affichées en rouge (erreur élevée) ou en vert (erreur faible).
    * Le graphique est mis en cache pour améliorer les performances de rendu lors des rafraîchissements.
    * 
-   * @param {function(number): number} predictFn - La fonction de prédiction utilisée pour générer les courbes.
+   * @param {function(number): number|{predictBatch: function}} predictFn - La fonction de prédiction utilisée pour
+   * générer les courbes, ou un modèle dont `predictBatch` évalue tous les points de la courbe en un seul appel.
    * 
    * @description
    * La méthode crée un graphique avec des axes X et Y. Les points sont tracés pour la fonction vraie et pour la fonction
@@ -160,6 +162,12 @@ class Plot {
       }
     }
 
+    // Prédictions pour toutes les abscisses de la courbe, calculées en une seule fois
+    const xs = Float64Array.from({ length: size + 1 }, (_, i) => -1 + 2 * i / size);
+    const predictions = typeof predictFn.predictBatch === "function"
+      ? predictFn.predictBatch(xs, 1)
+      : xs.map(x => predictFn(x));
+
     // Tracer les courbes pour chaque point sur l'axe X
     for (let i = 1; i < size - 1; i++) {
       // Calculer les coordonnées X de chaque point
@@ -171,8 +179,8 @@ class Plot {
       const y2_true = this.trueFunction(x2);
 
       // Calculer la prédiction pour ces points avec la fonction de prédiction
-      const y1_pred = predictFn(x1);
-      const y2_pred = predictFn(x2);
+      const y1_pred = predictions[i];
+      const y2_pred = predictions[i + 1];
 
       // Appliquer l'échelle verticale et le décalage pour ajuster la position des points sur le graphique
       const py1_true = size - Math.floor((y1_true * scale)) - y_offset;
@@ -0,0 +1,157 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+/**
+ * Construit les points d'entrée de NoodleML à partir des scripts classiques de Model/ et View/ :
+ * - NoodleML/noodleml.js : bundle classique en un seul fichier (<script src="noodleml/NoodleML/noodleml.js">)
+ * - NoodleML/index.js    : module ES (`import { NeuralNetwork } from 'noodleml'`)
+ * - NoodleML/index.cjs   : module CommonJS (`const { NeuralNetwork } = require('noodleml')`)
+ *
+ * Les sources restent des scripts classiques partageant la portée globale : elles sont concaténées dans l'ordre
+ * de leurs dépendances, puis seules les classes et registres publics (`EXPORTS`) sont exportés ; les détails internes
+ * (constantes, fonctions utilitaires) restent privés au module.
+ *
+ * Les trois fichiers générés sont ignorés par git et régénérés par `npm install` (script prepare), `npm pack` et
+ * `npm test`. Les pages du cours chargent directement les scripts de Model/ et View/, sans étape de construction.
+ *
+ * Usage : node NoodleML/build.js (ou npm run build), à relancer après toute modification de Model/ ou View/.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+/** Sources, dans l'ordre de chargement (une classe doit être déclarée avant d'être étendue). */
+const SOURCES = [
+  "Model/ActivationFunctions.js",
+  "Model/Random.js",
+  "Model/Initializers.js",
+  "Model/LossFunctions.js",
+  "Model/Optimizers.js",
+  "Model/LearningRateSchedules.js",
+  "Model/Perceptron.js",
+  "Model/Adaline.js",
+  "Model/MultiClassPerceptron.js",
+  "Model/OneVsRestClassifier.js",
+  "Model/Neuron.js",
+  "Model/NeuralConnection.js",
+  "Model/LayerMatrix.js",
+  "Model/NeuralNetwork.js",
+  "Model/GraphNeuralNetwork.js",
+  "Model/Datasets.js",
+  "Model/TrainingWorker.js",
+  "View/ActivationGraph.js",
+  "View/NeuronView.js",
+  "View/NeuralConnectionView.js",
+  "View/HeatmapView.js",
+  "View/LogicFunctionHeatmapView.js",
+  "View/DecisionRegionView.js",
+  "View/NeuralNetworkView.js",
+  "View/NeuralNetworkEditorView.js",
+  "View/PerceptronView.js",
+  "View/Plot.js"
+];
+
+/** API publique exportée par index.js et index.cjs. */
+const EXPORTS = [
+  // Modèle
+  "ActivationFunctions",
+  "RandomGenerator",
+  "Random",
+  "Initializers",
+  "LossFunctions",
+  "Optimizer",
+  "SGDOptimizer",
+  "MomentumOptimizer",
+  "NesterovOptimizer",
+  "RMSPropOptimizer",
+  "AdagradOptimizer",
+  "AdamOptimizer",
+  "Optimizers",
+  "LearningRateSchedule",
+  "ConstantSchedule",
+  "StepDecaySchedule",
+  "ExponentialDecaySchedule",
+  "CosineAnnealingSchedule",
+  "LinearWarmupSchedule",
+  "LearningRateSchedules",
+  "Perceptron",
+  "Adaline",
+  "MultiClassPerceptron",
+  "OneVsRestClassifier",
+  "Neuron",
+  "NeuralConnection",
+  "LayerMatrix",
+  "NeuralNetwork",
+  "GraphNeuralNetwork",
+  "Datasets",
+  "TrainingWorker",
+  // Vues
+  "ActivationGraph",
+  "NeuronView",
+  "NeuralConnectionView",
+  "HeatmapView",
+  "LogicFunctionHeatmapView",
+  "DecisionRegionView",
+  "NeuralNetworkView",
+  "NeuralNetworkEditorView",
+  "PerceptronView",
+  "Plot"
+];
+
+const BANNER = /^\/\*{10,}[\s\S]*?\*{10,}\/\s*/;
+const DECLARATION = /^(?:class|const|let|function)\s+([A-Za-z_$][\w$]*)/gm;
+
+const banner = fs.readFileSync(path.join(ROOT, "Model/NeuralNetwork.js"), 'utf8').match(BANNER)[0].trimEnd();
+const declared = new Set();
+const parts = SOURCES.map(file => {
+  const code = fs.readFileSync(path.join(ROOT, file), 'utf8').replace(BANNER, '');
+  for (const [, name] of code.matchAll(DECLARATION)) {
+    declared.add(name);
+  }
+  return `// ---- ${file} ----\n\n${code.trimEnd()}\n`;
+});
+
+const missing = EXPORTS.filter(name => !declared.has(name));
+if (missing.length > 0) {
+  throw new Error(`Exports non déclarés dans les sources : ${missing.join(', ')}`);
+}
+
+const header = `${banner}\n\n// Fichier généré par NoodleML/build.js à partir de Model/ et View/ : ne pas modifier directement.\n\n`;
+const body = parts.join('\n');
+const outputs = {
+  "noodleml.js": `${header}${body}`,
+  "index.js": `${header}${body}\nexport {\n  ${EXPORTS.join(',\n  ')}\n};\n`,
+  "index.cjs": `${header}${body}\nmodule.exports = {\n  ${EXPORTS.join(',\n  ')}\n};\n`
+};
+
+for (const [file, content] of Object.entries(outputs)) {
+  fs.writeFileSync(path.join(ROOT, file), content);
+  console.log(`${file} : ${EXPORTS.length} exports`);
+}
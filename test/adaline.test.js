@@ -0,0 +1,108 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests de l'Adaline : règle delta (Widrow-Hoff) sur la sortie linéaire et suivi de la MSE par epoch.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Adaline, Perceptron, Random } from 'noodleml';
+
+const AND = [
+  { x: [0, 0], y: 0 },
+  { x: [0, 1], y: 0 },
+  { x: [1, 0], y: 0 },
+  { x: [1, 1], y: 1 }
+];
+
+const XOR = [
+  { x: [0, 0], y: 0 },
+  { x: [0, 1], y: 1 },
+  { x: [1, 0], y: 1 },
+  { x: [1, 1], y: 0 }
+];
+
+test("train() applique la règle delta à la sortie linéaire", () => {
+  const adaline = new Adaline(2, 0.1);
+  adaline.setWeights([0.2, -0.4]);
+  adaline.setBias(0.1);
+
+  // z = 0.2·1 - 0.4·0.5 + 0.1 = 0.1, erreur = 1 - 0.1 = 0.9
+  const error = adaline.train([1, 0.5], 1);
+
+  assert.ok(Math.abs(error - 0.9) < 1e-12);
+  const [w1, w2] = adaline.getWeights();
+  assert.ok(Math.abs(w1 - (0.2 + 0.1 * 0.9 * 1)) < 1e-12);
+  assert.ok(Math.abs(w2 - (-0.4 + 0.1 * 0.9 * 0.5)) < 1e-12);
+  assert.ok(Math.abs(adaline.getBias() - (0.1 + 0.1 * 0.9)) < 1e-12);
+});
+
+test("les poids évoluent même sur un exemple bien classé", () => {
+  const adaline = new Adaline(2, 0.1);
+  adaline.setWeights([1, 1]);
+  adaline.setBias(0);
+
+  assert.equal(adaline.predict([1, 1]), 1);
+  adaline.train([1, 1], 1); // z = 2 : bien classé, mais l'erreur linéaire vaut -1
+
+  assert.deepEqual(adaline.getWeights(), [0.9, 0.9]);
+});
+
+test("fit() fait décroître la MSE et apprend la fonction ET", () => {
+  Random.setSeed(3);
+  const adaline = new Adaline(2, 0.05);
+
+  const report = adaline.fit(AND, 200, true, { tolerance: 0 });
+
+  assert.equal(report.epochs, 200);
+  assert.equal(report.mse.length, 200);
+  assert.ok(report.mse.at(-1) < report.mse[0]);
+  assert.equal(report.finalErrors, 0);
+  AND.forEach(({ x, y }) => assert.equal(adaline.predict(x), y));
+});
+
+test("sur XOR, la MSE se stabilise près de la solution des moindres carrés", () => {
+  Random.setSeed(3);
+  const adaline = new Adaline(2, 0.01);
+
+  const report = adaline.fit(XOR, 2000, true, { tolerance: 1e-7 });
+
+  // Solution des moindres carrés : w = (0, 0), b = 0.5, soit une MSE de 0.25
+  assert.equal(report.converged, true);
+  assert.ok(report.epochs < 2000);
+  assert.ok(Math.abs(report.mse.at(-1) - 0.25) < 0.01);
+  assert.ok(report.finalErrors > 0);
+});
+
+test("un Adaline reste un Perceptron", () => {
+  const adaline = new Adaline(3);
+  assert.ok(adaline instanceof Perceptron);
+  assert.equal(adaline.name, "Adaline");
+  assert.equal(adaline.output([1, 2, 3]), adaline.weightedSum([1, 2, 3]));
+});
@@ -0,0 +1,73 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests du calcul des régions de décision (`DecisionRegionView.classifyGrid`), sans canvas.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DecisionRegionView, NeuralNetwork } from 'noodleml';
+
+const SIZE = 10;
+
+/**
+ * Coordonnées (x1, x2) du pixel n de la grille, comme dans `classifyGrid()`.
+ * @param {number} n 
+ * @returns {number[]}
+ */
+function pixelInput(n) {
+  return [(n % SIZE) / SIZE, 1 - Math.floor(n / SIZE) / SIZE];
+}
+
+test("un réseau à une sortie est seuillé à 0.5 (classifieur binaire)", () => {
+  const network = new NeuralNetwork([2, 1], null, null, 0.1, "sigmoid", { rng: 1 });
+  network.layers[0][0].setWeights([10, 0]);
+  network.layers[0][0].setBias(-5); // Sortie ≥ 0.5 pour x1 ≥ 0.5
+
+  const classes = new DecisionRegionView(null, 0, 0, SIZE, network).classifyGrid();
+
+  classes.forEach((label, n) => assert.equal(label, pixelInput(n)[0] >= 0.5 ? 1 : 0));
+  assert.ok(classes.includes(0) && classes.includes(1));
+});
+
+test("un réseau à plusieurs sorties prend la sortie la plus activée", () => {
+  const network = new NeuralNetwork([2, 4, 3], null, null, 0.1, "relu", { rng: 2, outputActivation: "softmax" });
+
+  const classes = new DecisionRegionView(null, 0, 0, SIZE, network).classifyGrid();
+
+  classes.forEach((label, n) => assert.equal(label, network.predictClass(pixelInput(n))));
+});
+
+test("une fonction peut servir de classifieur", () => {
+  const classes = new DecisionRegionView(null, 0, 0, SIZE, ([x1, x2]) => (x2 > x1 ? 2 : 0)).classifyGrid();
+  classes.forEach((label, n) => {
+    const [x1, x2] = pixelInput(n);
+    assert.equal(label, x2 > x1 ? 2 : 0);
+  });
+});
@@ -0,0 +1,117 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests du réseau en graphe (`GraphNeuralNetwork`) : activations données par leur clé, passe avant et gradients
+ * de la rétropropagation comparés à des différences finies sur un petit DAG avec connexion résiduelle.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GraphNeuralNetwork, ActivationFunctions } from 'noodleml';
+
+/**
+ * DAG 2 → 3 (tanh) → 1 (sigmoid), la sortie recevant aussi directement les entrées (skip connection).
+ * @returns {{ net: GraphNeuralNetwork, hidden: Neuron[], out: Neuron }}
+ */
+function createSkipNetwork() {
+  const net = new GraphNeuralNetwork({ rng: 5 });
+  const x = net.addInputGroup("x", 2);
+  const hidden = net.addLayer(3, x, "tanh");
+  const [out] = net.addLayer(1, [...hidden, ...x], "sigmoid");
+  hidden.forEach((neuron, i) => neuron.setBias(0.1 * (i - 1)));
+  out.setBias(-0.2);
+  net.setOutputs([out]);
+  return { net, hidden, out };
+}
+
+test("addNeuron() et addLayer() acceptent une clé d'activation et rejettent une clé inconnue", () => {
+  const net = new GraphNeuralNetwork({ rng: 1 });
+  const x = net.addInputGroup("x", 2);
+
+  const [neuron] = net.addLayer(1, x, "relu");
+  assert.equal(neuron.activation, ActivationFunctions.relu);
+  assert.equal(net.addNeuron("tanh").activation, ActivationFunctions.tanh);
+
+  assert.throws(() => net.addLayer(2, x, "nope"), /inconnue/);
+  assert.throws(() => net.addNeuron("nope"), /inconnue/);
+  assert.equal(net.neurons.length, 2);
+});
+
+test("la passe avant combine la couche cachée et la connexion résiduelle", () => {
+  const { net, hidden, out } = createSkipNetwork();
+  const input = [0.4, -0.9];
+
+  const h = hidden.map(neuron => Math.tanh(neuron.getBias() + neuron.incoming.reduce((s, c, i) => s + c.weight * input[i], 0)));
+  const z = out.getBias() + out.incoming.reduce((s, c, i) => s + c.weight * [...h, ...input][i], 0);
+
+  const [y] = net.predict(input);
+  assert.ok(Math.abs(y - 1 / (1 + Math.exp(-z))) < 1e-12);
+  assert.deepEqual(net.predict({ x: input }), [y]);
+});
+
+test("computeGradients() correspond aux différences finies (connexion résiduelle incluse)", () => {
+  const { net, out } = createSkipNetwork();
+  const input = [0.4, -0.9];
+  const target = [1];
+  const epsilon = 1e-6;
+  const loss = () => net.lossFunction.f(net.predict(input), target);
+
+  const { weights, biases } = net.computeGradients(input, target);
+  assert.equal(weights.size, 3 * 2 + 5);
+
+  for (const [conn, gradient] of weights) {
+    const w = conn.weight;
+    conn.setWeight(w + epsilon);
+    const plus = loss();
+    conn.setWeight(w - epsilon);
+    const minus = loss();
+    conn.setWeight(w);
+    assert.ok(Math.abs((plus - minus) / (2 * epsilon) - gradient) < 1e-7, `poids ${conn.from.name}`);
+  }
+  for (const [neuron, gradient] of biases) {
+    const b = neuron.getBias();
+    neuron.setBias(b + epsilon);
+    const plus = loss();
+    neuron.setBias(b - epsilon);
+    const minus = loss();
+    neuron.setBias(b);
+    assert.ok(Math.abs((plus - minus) / (2 * epsilon) - gradient) < 1e-7, `biais ${neuron.name}`);
+  }
+  assert.ok(out.incoming.slice(3).every(conn => weights.get(conn) !== 0), "les connexions résiduelles reçoivent un gradient");
+});
+
+test("l'entraînement fait diminuer la perte", () => {
+  const { net } = createSkipNetwork();
+  const inputs = [[0, 0], [0, 1], [1, 0], [1, 1]];
+  const targets = [[0], [1], [1], [0]];
+
+  const history = net.train(inputs, targets, 200, 0.5);
+
+  assert.ok(history.loss.at(-1) < history.loss[0]);
+});
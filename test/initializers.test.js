@@ -0,0 +1,95 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests des initialiseurs de poids : bornes et écart-type des tirages, initialisation des couches du réseau.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Initializers, NeuralNetwork, RandomGenerator } from 'noodleml';
+
+/**
+ * Tire `count` poids avec un initialiseur et un générateur à graine fixe.
+ * @param {string} key - Clé de `Initializers`.
+ * @param {number} fanIn 
+ * @param {number} fanOut 
+ * @param {number} [count=20000] 
+ * @returns {number[]}
+ */
+function sample(key, fanIn, fanOut, count = 20000) {
+  const rng = new RandomGenerator(1);
+  return Array.from({ length: count }, () => Initializers[key].f(fanIn, fanOut, rng));
+}
+
+/**
+ * Écart-type d'un échantillon.
+ * @param {number[]} values 
+ * @returns {number}
+ */
+function std(values) {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+}
+
+test("les initialiseurs uniformes respectent leurs bornes", () => {
+  const bounds = {
+    uniform: 1,
+    glorotUniform: Math.sqrt(6 / (8 + 4)),
+    heUniform: Math.sqrt(6 / 8),
+    lecunUniform: Math.sqrt(3 / 8)
+  };
+  for (const [key, limit] of Object.entries(bounds)) {
+    const values = sample(key, 8, 4);
+    assert.ok(values.every(v => Math.abs(v) <= limit), key);
+    assert.ok(Math.max(...values.map(Math.abs)) > 0.99 * limit, `${key} couvre tout l'intervalle`);
+  }
+});
+
+test("les initialiseurs normaux ont l'écart-type attendu", () => {
+  const expected = {
+    glorotNormal: Math.sqrt(2 / (8 + 4)),
+    heNormal: Math.sqrt(2 / 8),
+    lecunNormal: Math.sqrt(1 / 8)
+  };
+  for (const [key, sigma] of Object.entries(expected)) {
+    assert.ok(Math.abs(std(sample(key, 8, 4)) / sigma - 1) < 0.03, key);
+  }
+});
+
+test("le réseau initialise chaque couche avec l'initialiseur demandé", () => {
+  const network = new NeuralNetwork([3, { size: 4, initializer: "ones" }, 2], null, null, 0.1, "relu",
+    { rng: 2, initializer: "heNormal", biasInitializer: "zeros" });
+
+  assert.ok(network.layers[0].every(n => n.getWeights().every(w => w === 1) && n.getBias() === 0));
+  assert.ok(network.layers[1].every(n => n.getWeights().some(w => w !== 0) && n.getBias() === 0));
+
+  network.initializeLayer(-1, (fanIn, fanOut) => fanIn * 10 + fanOut, "ones");
+  assert.ok(network.layers[1].every(n => n.getWeights().every(w => w === 42) && n.getBias() === 1));
+  assert.throws(() => network.initializeLayer(0, "nope"), /Initialiseur inconnu/);
+});
@@ -0,0 +1,93 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests de la représentation dense des couches (`LayerMatrix`) : accès aux poids et biais depuis les neurones,
+ * couches creuses, noyaux matrice-vecteur et reconstruction après modification de la topologie.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LayerMatrix, NeuralNetwork, Neuron, ActivationFunctions } from 'noodleml';
+
+test("les poids et biais des neurones liés sont des vues sur les tableaux typés", () => {
+  const neurons = [0, 1].map(() => new Neuron(3, 0.1, ActivationFunctions.sigmoid, [], null));
+  neurons[0].connections = [{ index: 0, weight: 1 }, { index: 2, weight: 2 }];
+  neurons[1].connections = [{ index: 1, weight: 3 }];
+  neurons[1].setBias(0.5);
+
+  const matrix = LayerMatrix.fromNeurons(neurons, 3);
+  assert.deepEqual(Array.from(matrix.weights), [1, 0, 2, 0, 3, 0]);
+  assert.deepEqual(Array.from(matrix.biases), [0, 0.5]);
+
+  // Neurone → matrice
+  neurons[0].connections[1].weight = 5;
+  neurons[1].setBias(-1);
+  assert.equal(matrix.weights[2], 5);
+  assert.equal(matrix.biases[1], -1);
+
+  // Matrice → neurone
+  matrix.weights[4] = 7;
+  matrix.biases[0] = 0.25;
+  assert.deepEqual(neurons[1].getWeights(), [7]);
+  assert.equal(neurons[0].getBias(), 0.25);
+  assert.equal(neurons[1].predict([0, 1, 0]), ActivationFunctions.sigmoid.f(7 - 1));
+});
+
+test("forward, forwardBatch, backward et outer suivent leur définition", () => {
+  const matrix = new LayerMatrix(2, 2);
+  matrix.weights.set([1, 2, 3, 4]);
+  matrix.biases.set([0.5, -0.5]);
+
+  assert.deepEqual(Array.from(matrix.forward([1, -1])), [-0.5, -1.5]);
+  assert.deepEqual(Array.from(matrix.forwardBatch(Float64Array.from([1, -1, 0, 1]), 2)), [-0.5, -1.5, 2.5, 3.5]);
+  assert.deepEqual(Array.from(matrix.backward([1, 2])), [7, 10]);
+  assert.deepEqual(Array.from(matrix.outer([1, 2], [3, 4])), [3, 4, 6, 8]);
+  assert.throws(() => LayerMatrix.toBatch([[1, 2], [3]], 2), /2 entrées attendues/);
+});
+
+test("le réseau lit et met à jour ses poids dans la matrice de chaque couche", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 1 });
+  const matrix = network.getLayerMatrix(0);
+
+  network.layers[0][2].connections[1].weight = 0.75;
+  assert.equal(matrix.weights[2 * 2 + 1], 0.75);
+  assert.deepEqual(network.getLayer(0).weights[2], [network.layers[0][2].connections[0].weight, 0.75]);
+
+  network.backpropagate([1, 0], [1]);
+  assert.equal(network.layers[0][2].connections[0].weight, matrix.weights[2 * 2]);
+  assert.equal(network.getLayerMatrix(0), matrix, "la matrice est réutilisée tant que la topologie ne change pas");
+
+  const kept = network.layers[0][2].getWeights();
+  network.insertNeuron(0);
+  const rebuilt = network.getLayerMatrix(0);
+  assert.notEqual(rebuilt, matrix, "la matrice est reconstruite après l'ajout d'un neurone");
+  assert.equal(rebuilt.rows, 4);
+  assert.deepEqual(Array.from(rebuilt.weights.subarray(2 * 2, 3 * 2)), kept);
+  assert.deepEqual(Array.from(rebuilt.weights.subarray(3 * 2)), network.layers[0][3].getWeights());
+});
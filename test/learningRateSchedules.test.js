@@ -0,0 +1,118 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests des plannings de taux d'apprentissage : formules, unité (epoch ou step) du warmup et du planning qui le suit,
+ * compteurs cumulés sur plusieurs appels de `train()`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LearningRateSchedule, NeuralNetwork } from 'noodleml';
+
+test("stepDecay, exponential, cosine et warmup suivent leur formule", () => {
+  const rates = (spec, ts) => ts.map(t => LearningRateSchedule.from(spec).getRate(1, t));
+
+  assert.deepEqual(rates({ type: "stepDecay", stepSize: 2, factor: 0.1 }, [0, 1, 2, 4]), [1, 1, 0.1, 0.1 * 0.1]);
+  assert.deepEqual(rates({ type: "exponential", decayRate: 0.5, decaySteps: 2 }, [0, 1, 2]), [1, Math.SQRT1_2, 0.5]);
+  const cosine = rates({ type: "cosine", period: 4, minRate: 0.2 }, [0, 2, 4, 10]);
+  [1, 0.6, 0.2, 0.2].forEach((expected, i) => assert.ok(Math.abs(cosine[i] - expected) < 1e-12));
+  assert.deepEqual(rates({ type: "warmup", warmup: 4 }, [0, 1, 3, 10]), [0.25, 0.5, 1, 1]);
+  assert.deepEqual(rates("constant", [0, 100]), [1, 1]);
+});
+
+test("un planning ou une unité inconnus sont rejetés", () => {
+  assert.throws(() => LearningRateSchedule.from("linear"), /inconnu/);
+  assert.throws(() => LearningRateSchedule.from({ type: "cosine", per: "batch" }), /Unité de planning invalide/);
+});
+
+test("le planning qui suit le warmup reprend l'unité du warmup", () => {
+  const schedule = LearningRateSchedule.from({ type: "warmup", warmup: 2, per: "step", then: { type: "stepDecay", stepSize: 2 } });
+  assert.equal(schedule.per, "step");
+  assert.equal(schedule.then.per, "step");
+
+  const byEpoch = LearningRateSchedule.from({ type: "warmup", then: "cosine" });
+  assert.equal(byEpoch.then.per, "epoch");
+});
+
+test("une unité différente entre le warmup et le planning suivant est refusée", () => {
+  assert.throws(() => LearningRateSchedule.from({ type: "warmup", then: { type: "stepDecay", per: "step" } }), /même unité/);
+  assert.throws(() => LearningRateSchedule.from({
+    type: "warmup",
+    per: "step",
+    then: LearningRateSchedule.from({ type: "cosine", per: "epoch" })
+  }), /même unité/);
+});
+
+test("un warmup par mise à jour est suivi d'une décroissance par mise à jour", () => {
+  const inputs = [[0, 0], [0, 1], [1, 0], [1, 1]];
+  const targets = [[0], [1], [1], [0]];
+  const network = new NeuralNetwork([2, 2, 1], null, null, 0.8, "sigmoid", { rng: 1 });
+
+  // 4 mises à jour par epoch : warmup sur les steps 0-1, puis taux divisé par 2 toutes les 2 mises à jour
+  const rates = [];
+  network.train(inputs, targets, 2, 0.8, {
+    batchSize: 1,
+    shuffle: false,
+    learningRateSchedule: { type: "warmup", warmup: 2, per: "step", then: { type: "stepDecay", stepSize: 2 } },
+    onBatchEnd: (batch, logs) => { rates.push(logs.learningRate); }
+  });
+
+  assert.deepEqual(rates, [0.4, 0.8, 0.8, 0.8, 0.4, 0.4, 0.2, 0.2]);
+});
+
+test("les plannings se poursuivent d'un appel de train() au suivant", () => {
+  const inputs = [[0, 0], [0, 1], [1, 0], [1, 1]];
+  const targets = [[0], [1], [1], [0]];
+  const network = new NeuralNetwork([2, 2, 1], null, null, 0.8, "sigmoid", { rng: 1 });
+  const byEpoch = { type: "stepDecay", stepSize: 2 };
+  const byStep = { type: "stepDecay", stepSize: 4, per: "step" };
+
+  // Entraînement en appels courts, comme dans les pages du cours
+  const epochRates = [];
+  for (let i = 0; i < 3; i++) {
+    epochRates.push(...network.train(inputs, targets, 2, 0.8, { learningRateSchedule: byEpoch }).learningRate);
+  }
+  assert.deepEqual(epochRates, [0.8, 0.8, 0.4, 0.4, 0.2, 0.2]);
+  assert.equal(network.epoch, 6);
+  assert.equal(network.step, 24);
+
+  const stepRates = [];
+  network.train(inputs, targets, 1, 0.8, { learningRateSchedule: byStep, onBatchEnd: (b, logs) => { stepRates.push(logs.learningRate); } });
+  assert.deepEqual(stepRates, [0.8 / 64, 0.8 / 64, 0.8 / 64, 0.8 / 64]);
+});
+
+test("le nombre de mises à jour est sauvegardé avec le modèle", () => {
+  const network = new NeuralNetwork([2, 2, 1], null, null, 0.5, "sigmoid", { rng: 2 });
+  network.train([[0, 1], [1, 0], [1, 1]], [[1], [1], [0]], 3, 0.5, { batchSize: 2 });
+
+  const restored = NeuralNetwork.fromJSON(JSON.stringify(network));
+
+  assert.equal(restored.step, 6);
+  assert.equal(restored.epoch, 3);
+});
@@ -0,0 +1,63 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests du calcul de la heatmap binaire (`LogicFunctionHeatmapView.predictGrid`), sans canvas.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LogicFunctionHeatmapView, NeuralNetwork } from 'noodleml';
+
+const SIZE = 8;
+
+test("un NeuralNetwork est évalué via predictBatch() et donne les mêmes valeurs que predict()", () => {
+  const network = new NeuralNetwork([2, 3, 2], null, null, 0.1, "sigmoid", { rng: 3 });
+
+  const values = new LogicFunctionHeatmapView(null, 0, 0, SIZE, network).predictGrid();
+
+  assert.equal(values.length, SIZE * SIZE);
+  values.forEach((value, n) => {
+    const input = [(n % SIZE) / SIZE, 1 - Math.floor(n / SIZE) / SIZE];
+    assert.ok(Math.abs(value - network.predict(input)[0]) < 1e-12, `pixel ${n}`);
+  });
+});
+
+test("un objet { predict } sans predictBatch() est évalué pixel par pixel", () => {
+  const netLike = {
+    predict: ([x1, x2]) => [x1 >= 0.5 && x2 >= 0.5 ? 1 : 0], // ET logique
+    inputNames: ["S1", "S2"],
+  };
+
+  const values = new LogicFunctionHeatmapView(null, 0, 0, SIZE, netLike).predictGrid();
+
+  values.forEach((value, n) => {
+    const [x1, x2] = [(n % SIZE) / SIZE, 1 - Math.floor(n / SIZE) / SIZE];
+    assert.equal(value, x1 >= 0.5 && x2 >= 0.5 ? 1 : 0);
+  });
+});
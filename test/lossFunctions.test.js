@@ -0,0 +1,88 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests des fonctions de perte : valeurs et gradients calculés à la main, simplification (a - t) avec
+ * l'activation de sortie appariée.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LossFunctions, NeuralNetwork } from 'noodleml';
+
+/**
+ * Compare deux nombres ou deux listes de nombres à 1e-12 près.
+ * @param {number|number[]} actual 
+ * @param {number|number[]} expected 
+ */
+function assertClose(actual, expected) {
+  [actual].flat().forEach((value, i) => {
+    const target = [expected].flat()[i];
+    assert.ok(Math.abs(value - target) < 1e-12, `${value} ≠ ${target}`);
+  });
+}
+
+test("MSE : ½·Σ(a - t)² et gradient (a - t)", () => {
+  assertClose(LossFunctions.mse.f([0.8, 0.2], [1, 0]), 0.04);
+  assertClose(LossFunctions.mse.df([0.8, 0.2], [1, 0]), [-0.2, 0.2]);
+});
+
+test("entropie croisée binaire : -ln(a) pour une cible 1, gradient (a - t) / (a·(1 - a))", () => {
+  assertClose(LossFunctions.binaryCrossEntropy.f([0.8, 0.3], [1, 0]), -Math.log(0.8) - Math.log(0.7));
+  assertClose(LossFunctions.binaryCrossEntropy.df([0.8, 0.3], [1, 0]), [-0.2 / 0.16, 0.3 / 0.21]);
+  assert.ok(Number.isFinite(LossFunctions.binaryCrossEntropy.f([0], [1])), "log(0) est évité");
+});
+
+test("entropie croisée softmax : -ln de la probabilité de la bonne classe", () => {
+  assertClose(LossFunctions.softmaxCrossEntropy.f([0.7, 0.2, 0.1], [0, 1, 0]), -Math.log(0.2));
+  assertClose(LossFunctions.softmaxCrossEntropy.df([0.7, 0.2, 0.1], [0, 1, 0]), [0, -5, 0]);
+});
+
+test("Huber : quadratique jusqu'à δ = 1, linéaire au-delà", () => {
+  assertClose(LossFunctions.huber.f([0.5, 3], [0, 0]), 0.125 + (3 - 0.5));
+  assertClose(LossFunctions.huber.df([0.5, 3, -2], [0, 0, 0]), [0.5, 1, -1]);
+});
+
+test("avec la perte appariée à l'activation de sortie, le gradient de sortie vaut (a - t)", () => {
+  const input = [0.3, -0.6];
+  const create = loss => new NeuralNetwork([2, 2, 1], null, null, 0.1, "sigmoid", { rng: 9, loss });
+
+  const bce = create("binaryCrossEntropy");
+  const [a] = bce.predict(input);
+  assertClose(bce.computeGradients(input, [1]).biases[1][0], a - 1);
+
+  // Sans appariement (MSE), la dérivée de la sigmoïde reste dans le gradient
+  assertClose(create("mse").computeGradients(input, [1]).biases[1][0], (a - 1) * a * (1 - a));
+});
+
+test("setLoss() accepte une clé et rejette une perte inconnue", () => {
+  const network = new NeuralNetwork([2, 1], null, null, 0.1, "sigmoid", { rng: 1 });
+  network.setLoss("huber");
+  assert.equal(network.lossFunction, LossFunctions.huber);
+  assert.throws(() => network.setLoss("nope"), /Fonction de perte inconnue/);
+});
@@ -0,0 +1,121 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests des classifieurs multi-classes : perceptron de Kesler (argmax) et « un contre tous ».
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MultiClassPerceptron, OneVsRestClassifier, Datasets, RandomGenerator, Random } from 'noodleml';
+
+/**
+ * Trois nuages de points bien séparés, au format `{ x, y }` attendu par `fit()`.
+ * @returns {Array<{x: number[], y: number}>}
+ */
+function blobs() {
+  const { inputs, labels } = Datasets.blobs(undefined, 20, 0.05, new RandomGenerator(4));
+  return inputs.map((x, i) => ({ x, y: labels[i] }));
+}
+
+/**
+ * Taux de bonnes classifications.
+ * @param {{predict: function}} classifier 
+ * @param {Array<{x: number[], y: number}>} data 
+ */
+function accuracy(classifier, data) {
+  return data.filter(({ x, y }) => classifier.predict(x) === y).length / data.length;
+}
+
+test("MultiClassPerceptron sépare trois classes linéairement séparables", () => {
+  Random.setSeed(1);
+  const data = blobs();
+  const perceptron = new MultiClassPerceptron(2, 3, 0.1);
+
+  perceptron.fit(data, 100);
+
+  assert.equal(accuracy(perceptron, data), 1);
+});
+
+test("MultiClassPerceptron.train() applique la règle de Kesler", () => {
+  const perceptron = new MultiClassPerceptron(2, 3, 0.5);
+  perceptron.setWeights([[1, 0], [0, 1], [0, 0]]);
+  perceptron.setBiases([0, 0, 0]);
+
+  assert.equal(perceptron.predict([2, 1]), 0);
+  perceptron.train([2, 1], 2); // Prédit 0 au lieu de 2
+
+  assert.deepEqual(perceptron.getWeights(), [[0, -0.5], [0, 1], [1, 0.5]]);
+  assert.deepEqual(perceptron.getBiases(), [-0.5, 0, 0.5]);
+
+  perceptron.train([2, 1], 2); // Déjà bien classé : aucun changement
+  assert.deepEqual(perceptron.getBiases(), [-0.5, 0, 0.5]);
+});
+
+test("OneVsRestClassifier sépare trois classes avec des perceptrons", () => {
+  Random.setSeed(2);
+  const data = blobs();
+  const classifier = new OneVsRestClassifier(2, 3, 0.1);
+
+  classifier.fit(data, 100);
+
+  assert.equal(accuracy(classifier, data), 1);
+  assert.equal(classifier.predictClass(data[0].x), data[0].y);
+});
+
+test("fit() rejette les labels qui ne sont pas des classes entières", () => {
+  const data = [{ x: [0, 0], y: 0 }, { x: [1, 1], y: 3 }];
+  assert.throws(() => new MultiClassPerceptron(2, 3).fit(data), /Label invalide/);
+  assert.throws(() => new OneVsRestClassifier(2, 3).fit([{ x: [0, 0], y: 0.5 }]), /Label invalide/);
+});
+
+test("OneVsRestClassifier départage les perceptrons votés par leur vote", () => {
+  const classifier = new OneVsRestClassifier(2, 2);
+  const [voted, plain] = classifier.classifiers;
+  voted.setWeights([-1, 0]);
+  voted.setBias(0);
+  voted.votes = [{ weights: [1, 0], bias: 0, count: 5 }]; // Le vote dit 1 alors que les derniers poids disent 0
+  plain.setWeights([0, 0]);
+  plain.setBias(0.2);
+
+  assert.deepEqual(classifier.scores([1, 0]), [5, 0.2]);
+  assert.equal(classifier.predict([1, 0]), 0);
+});
+
+test("OneVsRestClassifier transmet l'algorithme aux perceptrons", () => {
+  Random.setSeed(2);
+  const data = blobs();
+  const classifier = new OneVsRestClassifier(2, 3, 0.1);
+
+  const reports = classifier.fit(data, 50, true, { algorithm: "voted" });
+
+  assert.ok(reports.every(report => report.algorithm === "voted"));
+  assert.ok(classifier.classifiers.every(perceptron => perceptron.votes !== null));
+  data.forEach(({ x }) => assert.deepEqual(classifier.scores(x), classifier.classifiers.map(p => p.decisionFunction(x))));
+  assert.equal(accuracy(classifier, data), 1);
+});
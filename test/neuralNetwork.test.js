@@ -0,0 +1,215 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests du réseau multicouche : rétropropagation comparée à un calcul à la main, apprentissage du XOR
+ * et équations de sortie.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NeuralNetwork, GraphNeuralNetwork, ActivationFunctions, Random } from 'noodleml';
+
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+
+/**
+ * Réseau 2-1-1 sigmoïde aux paramètres fixés, pour pouvoir refaire les calculs à la main.
+ * @param {number} [learningRate=0.5] 
+ * @returns {NeuralNetwork}
+ */
+function createSmallNetwork(learningRate = 0.5) {
+  const network = new NeuralNetwork([2, 1, 1], null, null, learningRate, "sigmoid", { rng: 1 });
+  const [hidden] = network.layers[0];
+  const [output] = network.layers[1];
+  hidden.setWeights([0.5, -0.5]);
+  hidden.setBias(0.1);
+  output.setWeights([0.8]);
+  output.setBias(-0.2);
+  return network;
+}
+
+/**
+ * Gradients de la perte MSE (½·(a - t)²) du réseau 2-1-1, calculés à la main.
+ * @param {number[]} x 
+ * @param {number} t 
+ */
+function handGradients(x, t) {
+  const a1 = sigmoid(0.5 * x[0] - 0.5 * x[1] + 0.1);
+  const a2 = sigmoid(0.8 * a1 - 0.2);
+  const delta2 = (a2 - t) * a2 * (1 - a2);
+  const delta1 = 0.8 * delta2 * a1 * (1 - a1);
+  return {
+    hidden: { weights: [delta1 * x[0], delta1 * x[1]], bias: delta1 },
+    output: { weights: [delta2 * a1], bias: delta2 },
+    loss: 0.5 * (a2 - t) ** 2
+  };
+}
+
+/**
+ * Vérifie que chaque valeur de `actual` est égale à `expected` à 1e-12 près.
+ * @param {ArrayLike<number>} actual 
+ * @param {number[]} expected 
+ */
+function assertClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, i) => assert.ok(Math.abs(actual[i] - value) < 1e-12, `[${i}] ${actual[i]} ≠ ${value}`));
+}
+
+test("computeGradients() correspond aux gradients calculés à la main", () => {
+  const network = createSmallNetwork();
+  const x = [1, 0.5];
+  const expected = handGradients(x, 1);
+
+  const gradients = network.computeGradients(x, [1]);
+
+  assertClose(gradients.weights[0], expected.hidden.weights);
+  assertClose(gradients.biases[0], [expected.hidden.bias]);
+  assertClose(gradients.weights[1], expected.output.weights);
+  assertClose(gradients.biases[1], [expected.output.bias]);
+  assertClose([gradients.loss], [expected.loss]);
+});
+
+test("backpropagate() applique une descente de gradient w ← w - η·∂E/∂w", () => {
+  const network = createSmallNetwork(0.5);
+  const x = [1, 0.5];
+  const expected = handGradients(x, 0);
+
+  network.backpropagate(x, [0]);
+
+  const [hidden] = network.layers[0];
+  const [output] = network.layers[1];
+  assertClose(hidden.getWeights(), [0.5 - 0.5 * expected.hidden.weights[0], -0.5 - 0.5 * expected.hidden.weights[1]]);
+  assertClose([hidden.getBias()], [0.1 - 0.5 * expected.hidden.bias]);
+  assertClose(output.getWeights(), [0.8 - 0.5 * expected.output.weights[0]]);
+  assertClose([output.getBias()], [-0.2 - 0.5 * expected.output.bias]);
+});
+
+test("le réseau apprend la fonction XOR", () => {
+  const inputs = [[0, 0], [0, 1], [1, 0], [1, 1]];
+  const targets = [[0], [1], [1], [0]];
+  const network = new NeuralNetwork([2, 4, 1], null, null, 0.5, "sigmoid", { rng: 7 });
+
+  const history = network.train(inputs, targets, 3000, 0.5);
+
+  assert.ok(history.loss.at(-1) < history.loss[0], "la perte doit diminuer");
+  inputs.forEach((input, i) => {
+    assert.equal(Math.round(network.predict(input)[0]), targets[i][0], `XOR(${input})`);
+  });
+});
+
+test("l'entraînement est reproductible avec la même graine", () => {
+  const inputs = [[0, 0], [0, 1], [1, 0], [1, 1]];
+  const targets = [[0], [1], [1], [0]];
+  const train = () => {
+    const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 3 });
+    network.train(inputs, targets, 50, 0.5);
+    return network.predict([1, 0]);
+  };
+  assert.deepEqual(train(), train());
+});
+
+test("predictBatch() donne les mêmes sorties que predict()", () => {
+  const network = new NeuralNetwork([2, 4, 3], null, null, 0.1, "tanh", { rng: 6, outputActivation: "softmax" });
+  const inputs = [[0, 0], [0.3, -1], [2, 0.5], [-0.7, 0.1]];
+
+  for (const batch of [network.predictBatch(inputs), network.predictBatch(Float64Array.from(inputs.flat()))]) {
+    assert.equal(batch.length, inputs.length * 3);
+    inputs.forEach((input, n) => {
+      network.predict(input).forEach((y, k) => assert.ok(Math.abs(batch[n * 3 + k] - y) < 1e-12, `entrée ${n}, sortie ${k}`));
+    });
+  }
+});
+
+test("getOutputEquation() décrit le neurone de sortie", () => {
+  const network = createSmallNetwork();
+  assert.equal(network.getOutputEquation(0), "y = -0.200 + (0.800) * x1");
+  assert.throws(() => network.getOutputEquation(1), /invalide/);
+});
+
+test("getFullEquation() développe le réseau des entrées jusqu'à la sortie", () => {
+  const network = createSmallNetwork();
+  const hidden = "1 / (1 + exp(-(0.100 + (0.500) * x1 + (-0.500) * x2)))";
+  assert.equal(network.getFullEquation(0), `y = 1 / (1 + exp(-(-0.200 + (0.800) * ${hidden})))`);
+});
+
+test("un réseau à générateur propre ne consomme pas le générateur partagé Random", () => {
+  const sequence = () => [Random.next(), Random.next(), Random.next()];
+  Random.setSeed(123);
+  const expected = sequence();
+
+  Random.setSeed(123);
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.1, "sigmoid", { rng: 4, connectivity: [null, [[true, false, true]]] });
+  network.insertLayer(1, 2);
+  network.insertNeuron(0);
+  const graph = new GraphNeuralNetwork({ rng: 4 });
+  graph.addLayer(2, graph.addInputGroup("x", 2));
+  NeuralNetwork.fromJSON(JSON.stringify(network));
+
+  assert.deepEqual(sequence(), expected);
+});
+
+test("addLayer() et insertLayer() acceptent une activation donnée par sa clé", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.1, "sigmoid", { rng: 2 });
+
+  network.addLayer(2, "relu");
+  network.insertLayer(0, 4, "tanh");
+
+  assert.equal(network.layers.at(-1)[0].activation, ActivationFunctions.relu);
+  assert.equal(network.layers[0][0].activation, ActivationFunctions.tanh);
+  assert.equal(network.predict([0.5, -0.5]).length, 2);
+});
+
+test("insertLayer() rejette une activation inconnue sans modifier le réseau", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.1, "sigmoid", { rng: 2 });
+  const before = network.predict([1, 0]);
+
+  assert.throws(() => network.addLayer(2, "nope"), /inconnue/);
+  assert.throws(() => network.insertLayer(1, 2, {}), /invalide/);
+
+  assert.deepEqual(network.layerSizes, [2, 3, 1]);
+  assert.deepEqual(network.predict([1, 0]), before);
+});
+
+test("le constructeur rejette un multiplicateur de taux d'apprentissage négatif ou invalide", () => {
+  for (const learningRateMultiplier of [-1, NaN, "vite"]) {
+    assert.throws(() => new NeuralNetwork([2, { size: 4, learningRateMultiplier }, 1]), /positif ou nul/);
+  }
+  const network = new NeuralNetwork([2, { size: 4, learningRateMultiplier: 0 }, 1], null, null, 0.1, "sigmoid", { rng: 1 });
+  assert.equal(network.layerConfigs[0].learningRateMultiplier, 0);
+});
+
+test("gradientCheck() tient compte des pénalités L1/L2", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.1, "tanh", { rng: 5, regularization: { l1: 0.01, l2: 0.1 } });
+
+  const check = network.gradientCheck([0.3, -0.7], [1]);
+  assert.equal(check.passed, true, `erreur relative ${check.maxRelativeError}`);
+
+  // Un gradient de pénalité erroné doit être détecté
+  network.regularizationGradient = (l, w) => 0;
+  assert.equal(network.gradientCheck([0.3, -0.7], [1]).passed, false);
+});
@@ -0,0 +1,76 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests du neurone : sortie avec connexions creuses (seules les entrées connectées participent).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Neuron, ActivationFunctions } from 'noodleml';
+
+/** Activation identité, pour lire directement la somme pondérée. */
+const identity = { name: "identity", f: x => x, df: () => 1 };
+
+test("predict() n'utilise que les entrées connectées", () => {
+  const neuron = new Neuron(4, 0.1, identity, [{ index: 0, weight: 2 }, { index: 3, weight: -1 }]);
+  neuron.setBias(0.5);
+
+  // Les entrées 1 et 2 ne sont pas connectées : leur valeur est ignorée
+  assert.equal(neuron.predict([1, 100, -100, 3]), 2 * 1 - 1 * 3 + 0.5);
+  assert.equal(neuron.predict([1, 0, 0, 3]), neuron.predict([1, 7, 7, 3]));
+});
+
+test("predict() applique la fonction d'activation à la somme pondérée", () => {
+  const neuron = new Neuron(3, 0.1, ActivationFunctions.sigmoid, [{ index: 1, weight: 1.5 }]);
+  neuron.setBias(-0.5);
+  assert.equal(neuron.predict([9, 1, 9]), ActivationFunctions.sigmoid.f(1));
+});
+
+test("predict() rejette une entrée trop courte pour les connexions", () => {
+  const neuron = new Neuron(4, 0.1, identity, [{ index: 3, weight: 1 }]);
+  assert.throws(() => neuron.predict([1, 2]), /hors des bornes/);
+});
+
+test("predictBatch() donne les mêmes sorties que predict()", () => {
+  const neuron = new Neuron(3, 0.1, ActivationFunctions.tanh, [{ index: 0, weight: 0.3 }, { index: 2, weight: -0.7 }]);
+  neuron.setBias(0.1);
+  const inputs = [[0, 1, 0], [1, 0, 1], [-1, 5, 2]];
+
+  const batch = neuron.predictBatch(Float64Array.from(inputs.flat()), 3);
+  inputs.forEach((input, n) => assert.equal(batch[n], neuron.predict(input)));
+});
+
+test("predictBatch() exige inputSize pour un tableau plat (neurone creux)", () => {
+  const neuron = new Neuron(3, 0.1, identity, [{ index: 0, weight: 1 }]);
+  neuron.setBias(0);
+  const flat = Float64Array.from([1, 2, 3, 4, 5, 6]);
+
+  assert.throws(() => neuron.predictBatch(flat), /inputSize est obligatoire/);
+  assert.deepEqual(Array.from(neuron.predictBatch(flat, 3)), [1, 4]);
+});
@@ -0,0 +1,122 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests des optimiseurs : mise à jour d'un paramètre comparée à un calcul à la main et conservation de l'état
+ * entre plusieurs appels de `NeuralNetwork.train()`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NeuralNetwork, Optimizer, Optimizers } from 'noodleml';
+
+const INPUTS = [[0, 0], [0, 1], [1, 0], [1, 1]];
+const TARGETS = [[0], [1], [1], [0]];
+
+/**
+ * Applique plusieurs mises à jour successives à un paramètre valant 1 au départ (taux 0.1).
+ * @param {Optimizer} optimizer 
+ * @param {number[]} gradients 
+ * @returns {number[]} Valeur du paramètre après chaque mise à jour.
+ */
+function run(optimizer, gradients) {
+  const state = {};
+  let value = 1;
+  return gradients.map(g => value = optimizer.update(value, g, state, 0.1));
+}
+
+/**
+ * Compare deux listes de nombres à 1e-7 près (l'ε des optimiseurs adaptatifs est négligé dans les calculs).
+ * @param {number[]} actual 
+ * @param {number[]} expected 
+ */
+function assertClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-7, `${value} ≠ ${expected[i]}`));
+}
+
+test("Adam : deux pas comparés au calcul à la main (correction du biais incluse)", () => {
+  // Pas 1 (g = 0.5) : m = 0.05, v = 0.00025, m̂ = 0.5, v̂ = 0.25 → w = 1 - 0.1·0.5/0.5
+  // Pas 2 (g = -1)  : m = -0.055, v = 0.00124975, m̂ = -0.055/0.19, v̂ = 0.00124975/0.001999
+  const second = 0.9 - 0.1 * (-0.055 / 0.19) / Math.sqrt(0.00124975 / 0.001999);
+  assertClose(run(Optimizer.from("adam"), [0.5, -1]), [0.9, second]);
+});
+
+test("SGD, momentum, Nesterov, RMSProp et Adagrad : pas comparés au calcul à la main", () => {
+  assertClose(run(Optimizer.from("sgd"), [0.5, 0.5]), [0.95, 0.9]);
+  // v = -0.05 puis v = 0.9·(-0.05) - 0.05 = -0.095
+  assertClose(run(Optimizer.from("momentum"), [0.5, 0.5]), [0.95, 0.855]);
+  // w = 1 - μ·0 + (1 + μ)·(-0.05)
+  assertClose(run(Optimizer.from("nesterov"), [0.5]), [1 - 1.9 * 0.05]);
+  // s = 0.1·0.25 = 0.025
+  assertClose(run(Optimizer.from("rmsprop"), [0.5]), [1 - 0.05 / Math.sqrt(0.025)]);
+  // s = 0.25 puis 0.5
+  assertClose(run(Optimizer.from("adagrad"), [0.5, 0.5]), [0.9, 0.9 - 0.05 / Math.sqrt(0.5)]);
+});
+
+test("Optimizer.from() accepte une configuration et rejette un type inconnu", () => {
+  const momentum = Optimizer.from({ type: "momentum", momentum: 0.5 });
+  assert.ok(momentum instanceof Optimizers.momentum);
+  assert.deepEqual(momentum.toJSON(), { type: "momentum", momentum: 0.5 });
+  assert.throws(() => Optimizer.from("lbfgs"), /Optimiseur inconnu/);
+});
+
+test("le premier pas d'Adam déplace chaque paramètre du réseau d'environ η à l'opposé du gradient", () => {
+  const network = new NeuralNetwork([2, 2, 1], null, null, 0.1, "tanh", { rng: 8, optimizer: "adam" });
+  const before = network.getParameters();
+  const gradients = network.computeGradients([0.5, -0.3], [1]);
+
+  network.train([[0.5, -0.3]], [[1]], 1, 0.01);
+
+  const after = network.getParameters();
+  after.biases.forEach((layer, l) => layer.forEach((b, j) => {
+    assert.ok(Math.abs(b - (before.biases[l][j] - 0.01 * Math.sign(gradients.biases[l][j]))) < 1e-6);
+  }));
+});
+
+test("train() réutilise l'optimiseur et son état quand la configuration demandée est inchangée", () => {
+  const create = () => new NeuralNetwork([2, 3, 1], null, null, 0.1, "sigmoid", { rng: 4 });
+  const options = { optimizer: "adam", shuffle: false, batchSize: 4 };
+
+  const once = create();
+  once.train(INPUTS, TARGETS, 10, 0.05, options);
+
+  const split = create();
+  split.train(INPUTS, TARGETS, 5, 0.05, options);
+  const optimizer = split.optimizer;
+  split.train(INPUTS, TARGETS, 5, 0.05, { ...options, optimizer: { type: "adam", beta1: 0.9 } });
+
+  assert.equal(split.optimizer, optimizer);
+  assert.equal(split.layers[0][0].connections[0].optimizerState.t, 10);
+  assert.deepEqual(split.getParameters(), once.getParameters());
+
+  // Des hyperparamètres différents remplacent l'optimiseur et réinitialisent son état
+  split.train(INPUTS, TARGETS, 1, 0.05, { ...options, optimizer: { type: "adam", beta1: 0.5 } });
+  assert.notEqual(split.optimizer, optimizer);
+  assert.equal(split.layers[0][0].connections[0].optimizerState.t, 1);
+});
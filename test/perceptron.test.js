@@ -0,0 +1,172 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests du perceptron simple : convergence de `train()` et `fit()` sur les fonctions logiques ET / OU.
+ * Lancement : `npm test` (aucun DOM requis).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Perceptron, Random } from 'noodleml';
+
+const AND = [
+  { x: [0, 0], y: 0 },
+  { x: [0, 1], y: 0 },
+  { x: [1, 0], y: 0 },
+  { x: [1, 1], y: 1 }
+];
+
+const OR = [
+  { x: [0, 0], y: 0 },
+  { x: [0, 1], y: 1 },
+  { x: [1, 0], y: 1 },
+  { x: [1, 1], y: 1 }
+];
+
+/**
+ * Vérifie que le perceptron reproduit la table de vérité.
+ * @param {Perceptron} perceptron 
+ * @param {Array<{x: number[], y: number}>} table 
+ */
+function assertTruthTable(perceptron, table) {
+  for (const { x, y } of table) {
+    assert.equal(perceptron.predict(x), y, `entrée [${x}]`);
+  }
+}
+
+test("train() converge sur la fonction ET", () => {
+  Random.setSeed(1);
+  const perceptron = new Perceptron(2, 0.1);
+  for (let epoch = 0; epoch < 100; epoch++) {
+    for (const { x, y } of AND) {
+      perceptron.train(x, y);
+    }
+  }
+  assertTruthTable(perceptron, AND);
+});
+
+test("fit() converge sur les fonctions ET et OU", () => {
+  for (const table of [AND, OR]) {
+    Random.setSeed(2);
+    const perceptron = new Perceptron(2, 0.1);
+    perceptron.fit([...table], 100);
+    assertTruthTable(perceptron, table);
+  }
+});
+
+test("train() ne modifie pas un perceptron qui prédit déjà la bonne sortie", () => {
+  const perceptron = new Perceptron(2, 0.5);
+  perceptron.setWeights([1, 1]);
+  perceptron.setBias(-1.5);
+
+  perceptron.train([1, 1], 1);
+  perceptron.train([0, 1], 0);
+
+  assert.deepEqual(perceptron.getWeights(), [1, 1]);
+  assert.equal(perceptron.getBias(), -1.5);
+});
+
+test("une graine identique donne le même perceptron", () => {
+  Random.setSeed(42);
+  const a = new Perceptron(3);
+  Random.setSeed(42);
+  const b = new Perceptron(3);
+  assert.deepEqual(a.getWeights(), b.getWeights());
+  assert.equal(a.getBias(), b.getBias());
+});
+
+const XOR = [
+  { x: [0, 0], y: 0 },
+  { x: [0, 1], y: 1 },
+  { x: [1, 0], y: 1 },
+  { x: [1, 1], y: 0 }
+];
+
+test("fit() retourne un rapport de convergence et s'arrête à la première epoch sans erreur", () => {
+  Random.setSeed(5);
+  const perceptron = new Perceptron(2, 0.1);
+
+  const report = perceptron.fit(AND, 50);
+
+  assert.equal(report.algorithm, "perceptron");
+  assert.equal(report.converged, true);
+  assert.ok(report.epochs < 50);
+  assert.equal(report.errors.length, report.epochs);
+  assert.equal(report.errors.at(-1), 0);
+  assert.equal(report.finalErrors, 0);
+});
+
+test("fit() ne converge pas sur XOR, quel que soit l'algorithme", () => {
+  for (const algorithm of Perceptron.ALGORITHMS) {
+    Random.setSeed(5);
+    const report = new Perceptron(2, 0.1).fit(XOR, 30, true, { algorithm });
+    assert.equal(report.converged, false, algorithm);
+    assert.equal(report.epochs, 30, algorithm);
+    assert.ok(report.errors.every(errors => errors > 0), algorithm);
+  }
+});
+
+test("l'algorithme pocket garde les meilleurs poids rencontrés", () => {
+  Random.setSeed(5);
+  const perceptron = new Perceptron(2, 0.1);
+
+  const report = perceptron.fit(XOR, 30, true, { algorithm: "pocket" });
+
+  // Une droite classe au mieux 3 points sur 4 de XOR
+  assert.equal(report.finalErrors, 1);
+  assert.equal(perceptron.countErrors(XOR), 1);
+});
+
+test("les perceptrons moyenné et voté apprennent les fonctions séparables", () => {
+  for (const algorithm of ["averaged", "voted"]) {
+    for (const table of [AND, OR]) {
+      Random.setSeed(6);
+      const perceptron = new Perceptron(2, 0.1);
+      const report = perceptron.fit(table, 100, true, { algorithm });
+      assert.equal(report.finalErrors, 0, algorithm);
+      assertTruthTable(perceptron, table);
+    }
+  }
+});
+
+test("le perceptron voté repasse en perceptron simple dès que ses poids changent", () => {
+  Random.setSeed(6);
+  const perceptron = new Perceptron(2, 0.1);
+  perceptron.fit(XOR, 10, true, { algorithm: "voted" });
+  assert.ok(perceptron.votes.length > 1);
+
+  perceptron.setWeights([1, 1]);
+  perceptron.setBias(-1.5);
+  assert.equal(perceptron.votes, null);
+  assertTruthTable(perceptron, AND);
+});
+
+test("fit() rejette un algorithme inconnu", () => {
+  assert.throws(() => new Perceptron(2).fit(AND, 10, true, { algorithm: "adaline" }), /Algorithme inconnu/);
+});
@@ -0,0 +1,110 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests de la régularisation : pénalités L1/L2 (perte et décroissance des poids pendant l'entraînement)
+ * et dropout inversé.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NeuralNetwork } from 'noodleml';
+
+/**
+ * Gradients nuls de même forme que ceux du réseau : seule la pénalité agit lors de `applyGradients()`.
+ * @param {NeuralNetwork} network 
+ */
+function zeroGradients(network) {
+  const gradients = network.computeGradients([0, 0], [0]);
+  gradients.weights.forEach(w => w.fill(0));
+  gradients.biases.forEach(b => b.fill(0));
+  return gradients;
+}
+
+test("regularizationLoss() vaut l1·Σ|w| + ½·l2·Σw² par couche", () => {
+  const network = new NeuralNetwork([2, { size: 1, l1: 0.1 }, { size: 1, l2: 0.5 }], null, null, 0.1, "sigmoid", { rng: 1 });
+  network.layers[0][0].setWeights([2, -3]);
+  network.layers[1][0].setWeights([4]);
+
+  assert.ok(Math.abs(network.regularizationLoss() - (0.1 * 5 + 0.5 * 0.5 * 16)) < 1e-12);
+});
+
+test("L2 réduit chaque poids de η·l2·w et L1 de η·l1·signe(w), sans toucher aux biais", () => {
+  const network = new NeuralNetwork([2, 2, 1], null, null, 0.1, "sigmoid", { rng: 2 });
+  network.setLayerRegularization(0, { l2: 0.5 });
+  network.setLayerRegularization(1, { l1: 0.2 });
+  const before = network.getParameters();
+
+  network.currentLearningRate = 0.1;
+  network.applyGradients(zeroGradients(network));
+  const after = network.getParameters();
+
+  before.weights[0].flat().forEach((w, i) => assert.ok(Math.abs(after.weights[0].flat()[i] - w * (1 - 0.1 * 0.5)) < 1e-12));
+  before.weights[1].flat().forEach((w, i) => assert.ok(Math.abs(after.weights[1].flat()[i] - (w - 0.1 * 0.2 * Math.sign(w))) < 1e-12));
+  assert.deepEqual(after.biases, before.biases);
+});
+
+test("la perte de l'historique et evaluate() incluent la pénalité", () => {
+  const network = new NeuralNetwork([2, 2, 1], null, null, 0.1, "sigmoid", { rng: 3, regularization: { l2: 1 } });
+  const loss = () => network.lossFunction.f(network.predict([0, 1]), [1]);
+  const before = loss(); // Perte mesurée avant la mise à jour de l'unique échantillon
+
+  const history = network.train([[0, 1]], [[1]], 1, 0.1);
+
+  assert.ok(Math.abs(history.loss[0] - (before + network.regularizationLoss())) < 1e-12);
+  assert.ok(Math.abs(network.evaluate([[0, 1]], [[1]]) - (loss() + network.regularizationLoss())) < 1e-12);
+});
+
+test("le dropout inversé éteint des sorties cachées et amplifie les autres de 1 / (1 - taux), en entraînement seulement", () => {
+  const network = new NeuralNetwork([2, 6, 1], null, null, 0.1, "sigmoid", { rng: 4, dropout: 0.5 });
+  const input = [0.4, -0.2];
+
+  // Sans dropout : gradient d'un poids de sortie / gradient du biais de sortie = activation cachée aⱼ
+  const reference = network.computeGradients(input, [1]);
+  const activations = Array.from(reference.weights[1], g => g / reference.biases[1][0]);
+  assert.deepEqual(network.predict(input), network.predict(input));
+
+  network.training = true;
+  const dropped = new Set();
+  for (let n = 0; n < 20; n++) {
+    const g = network.computeGradients(input, [1]);
+    g.weights[1].forEach((w, j) => {
+      const kept = w / g.biases[1][0];
+      if (kept === 0) {
+        dropped.add(j);
+        assert.ok(g.weights[0].slice(j * 2, j * 2 + 2).every(v => v === 0), "aucun gradient vers un neurone éteint");
+      } else {
+        assert.ok(Math.abs(kept - 2 * activations[j]) < 1e-12);
+      }
+    });
+  }
+  network.training = false;
+
+  assert.ok(dropped.size > 0);
+  assert.throws(() => network.setLayerDropout(-1, 0.5), /couche de sortie/);
+});
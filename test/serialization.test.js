@@ -0,0 +1,141 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests de sauvegarde / chargement : `toJSON()` puis `NeuralNetwork.fromJSON()` doivent redonner un réseau identique.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NeuralNetwork, ActivationFunctions } from 'noodleml';
+
+const INPUTS = [[0, 0], [0, 1], [1, 0], [1, 1]];
+const TARGETS = [[0], [1], [1], [0]];
+
+/**
+ * Sauvegarde le réseau au format texte puis le recharge, comme le ferait `saveToFile` / `loadFromFile`.
+ * @param {NeuralNetwork} network 
+ * @returns {NeuralNetwork}
+ */
+function roundTrip(network) {
+  return NeuralNetwork.fromJSON(JSON.stringify(network));
+}
+
+test("un réseau rechargé donne les mêmes prédictions et les mêmes paramètres", () => {
+  const network = new NeuralNetwork([2, 3, 1], ["a", "b"], ["xor"], 0.5, "tanh", { rng: 11, loss: "binaryCrossEntropy", outputActivation: "sigmoid" });
+  network.train(INPUTS, TARGETS, 20, 0.5);
+
+  const loaded = roundTrip(network);
+
+  assert.deepEqual(loaded.layerSizes, network.layerSizes);
+  assert.deepEqual(loaded.inputNames, ["a", "b"]);
+  assert.deepEqual(loaded.outputNames, ["xor"]);
+  assert.equal(loaded.lossFunction.name, network.lossFunction.name);
+  assert.deepEqual(loaded.getParameters(), network.getParameters());
+  assert.deepEqual(loaded.layers.map(layer => layer.map(neuron => neuron.activation.name)),
+    network.layers.map(layer => layer.map(neuron => neuron.activation.name)));
+  INPUTS.forEach(input => assert.deepEqual(loaded.predict(input), network.predict(input)));
+});
+
+test("la topologie creuse est conservée", () => {
+  const mask = [[true, false], [false, true], [true, true]];
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.1, "sigmoid", { rng: 5, connectivity: [mask] });
+
+  const loaded = roundTrip(network);
+
+  assert.deepEqual(loaded.getLayerConnectivity(0), mask);
+  INPUTS.forEach(input => assert.deepEqual(loaded.predict(input), network.predict(input)));
+});
+
+test("l'entraînement reprend à l'identique après rechargement", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.3, "sigmoid", { rng: 9, optimizer: "adam" });
+  network.train(INPUTS, TARGETS, 10, 0.3);
+  const loaded = roundTrip(network);
+
+  network.train(INPUTS, TARGETS, 10, 0.3);
+  loaded.train(INPUTS, TARGETS, 10, 0.3);
+
+  assert.deepEqual(loaded.getParameters(), network.getParameters());
+});
+
+test("fromJSON() rejette un modèle invalide", () => {
+  assert.throws(() => NeuralNetwork.fromJSON(null), /invalide/);
+});
+
+test("l'activation par défaut du réseau est conservée pour les couches ajoutées après chargement", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.1, "tanh", { rng: 1 });
+
+  const loaded = roundTrip(network);
+  loaded.addLayer(2);
+
+  assert.equal(loaded.activation, ActivationFunctions.tanh);
+  assert.ok(loaded.layers.at(-1).every(neuron => neuron.activation === ActivationFunctions.tanh));
+});
+
+test("fromJSON() rejette une fonction de perte ou d'activation inconnue", () => {
+  const json = new NeuralNetwork([2, 2, 1], null, null, 0.1, "sigmoid", { rng: 1 }).toJSON();
+
+  assert.throws(() => NeuralNetwork.fromJSON({ ...json, loss: "MSEE" }), /perte inconnue/);
+  assert.throws(() => NeuralNetwork.fromJSON({ ...json, activation: "swish" }), /activation inconnue/);
+
+  const layers = structuredClone(json.layers);
+  layers[1].neurons[0].activation = "sigmoïde";
+  assert.throws(() => NeuralNetwork.fromJSON({ ...json, layers }), /activation inconnue/);
+});
+
+test("fromJSON() rejette un nombre de neurones ou des connexions incompatibles avec layerSizes", () => {
+  const json = new NeuralNetwork([2, 3, 1], null, null, 0.1, "sigmoid", { rng: 1 }).toJSON();
+  const corrupt = edit => {
+    const layers = structuredClone(json.layers);
+    edit(layers);
+    return { ...json, layers };
+  };
+
+  assert.throws(() => NeuralNetwork.fromJSON(corrupt(layers => layers[0].neurons.pop())), /la couche 0 contient 2 neurones, 3 attendus/);
+  assert.throws(() => NeuralNetwork.fromJSON(corrupt(layers => layers[1].neurons.push(layers[1].neurons[0]))), /couche 1 contient 2 neurones/);
+  assert.throws(() => NeuralNetwork.fromJSON(corrupt(layers => layers[0].neurons[1].connections.push({ index: 2, weight: 1 }))), /connexions du neurone A2/);
+  assert.throws(() => NeuralNetwork.fromJSON(corrupt(layers => layers[1].neurons[0].connections[2].index = 0)), /connexions du neurone B1/);
+  assert.throws(() => NeuralNetwork.fromJSON(corrupt(layers => delete layers[1].neurons[0].connections)), /connexions du neurone B1/);
+
+  // Une couche creuse (moins de connexions que d'entrées) reste valide
+  NeuralNetwork.fromJSON(corrupt(layers => layers[1].neurons[0].connections.splice(1, 1)));
+});
+
+test("le multiplicateur du taux d'apprentissage de chaque couche est conservé", () => {
+  const network = new NeuralNetwork([2, { size: 3, learningRateMultiplier: 0 }, { size: 1, learningRateMultiplier: 0.5 }],
+    null, null, 0.1, "sigmoid", { rng: 1 });
+
+  const loaded = roundTrip(network);
+
+  assert.deepEqual(loaded.layerConfigs.map(config => config.learningRateMultiplier), [0, 0.5]);
+
+  // La couche gelée ne bouge pas pendant l'entraînement du réseau rechargé
+  const frozen = loaded.layers[0].map(neuron => neuron.getWeights());
+  loaded.train(INPUTS, TARGETS, 5, 0.5);
+  assert.deepEqual(loaded.layers[0].map(neuron => neuron.getWeights()), frozen);
+});
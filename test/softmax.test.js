@@ -0,0 +1,82 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests de la classification multi-classes du réseau : activation softmax, encodage one-hot, jeu de données
+ * `Datasets.blobs` et `predictClass()`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ActivationFunctions, Datasets, NeuralNetwork, RandomGenerator } from 'noodleml';
+
+test("softmax donne des probabilités proportionnelles à exp(z), stables pour de grands z", () => {
+  const [a, b, c] = ActivationFunctions.softmax.f([1, 2, 3]);
+  const sum = Math.E + Math.E ** 2 + Math.E ** 3;
+
+  assert.ok(Math.abs(a - Math.E / sum) < 1e-12);
+  assert.ok(Math.abs(b - Math.E ** 2 / sum) < 1e-12);
+  assert.ok(Math.abs(a + b + c - 1) < 1e-12);
+  assert.deepEqual(ActivationFunctions.softmax.f([1000, 1000]), [0.5, 0.5]);
+});
+
+test("oneHot() et oneHotEncode() encodent les étiquettes entières", () => {
+  assert.deepEqual(NeuralNetwork.oneHot(2, 4), [0, 0, 1, 0]);
+  assert.deepEqual(NeuralNetwork.oneHotEncode([1, 0, 2]), [[0, 1, 0], [1, 0, 0], [0, 0, 1]]);
+  assert.throws(() => NeuralNetwork.oneHot(3, 3), /invalide/);
+  assert.throws(() => NeuralNetwork.oneHot(0.5, 3), /invalide/);
+});
+
+test("Datasets.blobs() génère des nuages autour de chaque centre, reproductibles avec une graine", () => {
+  const centers = [[0, 0], [5, 5]];
+  const { inputs, labels } = Datasets.blobs(centers, 200, 0.1, new RandomGenerator(3));
+
+  assert.equal(inputs.length, 400);
+  assert.deepEqual([...new Set(labels)], [0, 1]);
+  centers.forEach((center, label) => {
+    const points = inputs.filter((_, i) => labels[i] === label);
+    center.forEach((c, d) => {
+      const mean = points.reduce((s, p) => s + p[d], 0) / points.length;
+      assert.ok(Math.abs(mean - c) < 0.05, `classe ${label}, dimension ${d}`);
+    });
+  });
+  assert.deepEqual(Datasets.blobs(centers, 5, 0.1, new RandomGenerator(3)), Datasets.blobs(centers, 5, 0.1, new RandomGenerator(3)));
+});
+
+test("un réseau softmax apprend à séparer trois nuages (predictClass)", () => {
+  const { inputs, labels } = Datasets.blobs(undefined, 30, 0.05, new RandomGenerator(1));
+  const network = new NeuralNetwork([2, 8, 3], null, null, 0.1, "tanh",
+    { rng: 2, outputActivation: "softmax", loss: "softmaxCrossEntropy" });
+
+  network.train(inputs, NeuralNetwork.oneHotEncode(labels), 60, 0.1);
+
+  const output = network.predict(inputs[0]);
+  assert.ok(Math.abs(output.reduce((s, p) => s + p, 0) - 1) < 1e-12);
+  const correct = inputs.filter((input, i) => network.predictClass(input) === labels[i]).length;
+  assert.ok(correct / inputs.length > 0.95, `exactitude ${correct / inputs.length}`);
+});
@@ -0,0 +1,177 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests de `NeuralNetwork.train()` : mini-batchs, historique, callbacks et arrêt anticipé.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NeuralNetwork } from 'noodleml';
+
+const INPUTS = [[0, 0], [0, 1], [1, 0], [1, 1]];
+const TARGETS = [[0], [1], [1], [0]];
+
+test("train() désactive le mode entraînement même si un callback lève une exception", () => {
+  const network = new NeuralNetwork([2, 4, 1], null, null, 0.5, "sigmoid", { rng: 1, dropout: 0.5 });
+
+  assert.throws(() => network.train(INPUTS, TARGETS, 5, 0.1, {
+    onEpochEnd: () => { throw new Error("panne"); }
+  }), /panne/);
+
+  assert.equal(network.training, false);
+  const gradients = () => network.computeGradients([1, 0], [1]).loss;
+  assert.equal(gradients(), gradients(), "pas de dropout hors entraînement");
+});
+
+test("une mesure surveillée inconnue est rejetée avant toute mise à jour des poids", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 2 });
+  const before = network.getParameters();
+
+  assert.throws(() => network.train(INPUTS, TARGETS, 5, 0.1, { earlyStopping: { monitor: "valLoss" } }), /Mesure surveillée inconnue/);
+
+  assert.deepEqual(network.getParameters(), before);
+  assert.equal(network.epoch ?? 0, 0);
+  assert.equal(network.training, false);
+});
+
+test("bestEpoch et stoppedEpoch sont des indices de l'historique de l'appel en cours", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 3 });
+  network.train(INPUTS, TARGETS, 5, 0.1);
+
+  const history = network.train(INPUTS, TARGETS, 50, 0.1, {
+    earlyStopping: { monitor: "loss", patience: 3, minDelta: 1 } // Aucune amélioration après la première epoch
+  });
+
+  assert.equal(history.bestEpoch, 0);
+  assert.equal(history.stoppedEpoch, 3);
+  assert.equal(history.epochs, 4);
+  assert.equal(history.loss.length, history.epochs);
+  assert.equal(network.epoch, 9);
+});
+
+test("batchSize regroupe les échantillons : une mise à jour par batch avec le gradient moyen", () => {
+  const create = () => new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 4 });
+
+  // Full-batch : une seule mise à jour avec la moyenne des gradients des 4 échantillons
+  const expected = create();
+  const sum = INPUTS.map((input, i) => expected.computeGradients(input, TARGETS[i]))
+    .reduce((a, g) => NeuralNetwork.addGradients(a, g));
+  expected.currentLearningRate = 0.5;
+  expected.applyGradients(sum, 1 / INPUTS.length);
+
+  const fullBatch = create();
+  const sizes = [];
+  fullBatch.train(INPUTS, TARGETS, 1, 0.5, { batchSize: Infinity, onBatchEnd: (b, logs) => { sizes.push(logs.size); } });
+
+  assert.deepEqual(sizes, [4]);
+  assert.deepEqual(fullBatch.getParameters(), expected.getParameters());
+
+  // Mini-batch : un dernier batch plus petit quand la taille ne divise pas le jeu
+  const miniBatch = create();
+  const miniSizes = [];
+  miniBatch.train(INPUTS, TARGETS, 1, 0.5, { batchSize: 3, onBatchEnd: (b, logs) => { miniSizes.push(logs.size); } });
+  assert.deepEqual(miniSizes, [3, 1]);
+  assert.equal(miniBatch.step, 2);
+});
+
+test("batchSize inférieur à 1 est rejeté", () => {
+  const network = new NeuralNetwork([2, 2, 1], null, null, 0.5, "sigmoid", { rng: 1 });
+  assert.throws(() => network.train(INPUTS, TARGETS, 1, 0.5, { batchSize: 0 }), /batchSize/);
+});
+
+test("l'historique contient une valeur par epoch pour la perte, l'exactitude, le taux et chaque métrique", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 5 });
+  const calls = [];
+
+  const history = network.train(INPUTS, TARGETS, 4, 0.5, {
+    metrics: { meanOutput: output => output[0] },
+    onEpochEnd: (epoch, logs) => { calls.push([epoch, logs.epoch]); }
+  });
+
+  assert.equal(history.epochs, 4);
+  for (const key of ["loss", "accuracy", "learningRate", "meanOutput"]) {
+    assert.equal(history[key].length, 4, key);
+  }
+  assert.deepEqual(history.learningRate, [0.5, 0.5, 0.5, 0.5]);
+  assert.deepEqual(calls, [[0, 1], [1, 2], [2, 3], [3, 4]]);
+  assert.equal(network.history, history);
+  assert.equal(history.loss.at(-1), network.loss);
+});
+
+test("un callback retournant false ou un signal déclenché arrête l'entraînement", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 5 });
+
+  const byEpoch = network.train(INPUTS, TARGETS, 100, 0.5, { onEpochEnd: epoch => epoch < 2 });
+  assert.equal(byEpoch.epochs, 3);
+
+  let batches = 0;
+  const byBatch = network.train(INPUTS, TARGETS, 100, 0.5, { onBatchEnd: () => ++batches < 6 });
+  assert.equal(batches, 6);
+  assert.equal(byBatch.epochs, 2, "l'epoch interrompue est comptée");
+
+  const signal = { aborted: false };
+  const bySignal = network.train(INPUTS, TARGETS, 100, 0.5, {
+    signal,
+    onEpochEnd: epoch => { signal.aborted = epoch === 4; }
+  });
+  assert.equal(bySignal.epochs, 5);
+});
+
+test("l'arrêt anticipé restaure les poids de la meilleure epoch", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 6 });
+  const scores = [3, 1, 2, 2, 2, 2, 2, 2]; // Meilleure epoch : 1
+  const snapshots = [];
+
+  const history = network.train(INPUTS, TARGETS, scores.length, 0.5, {
+    metrics: { score: () => scores[network.epoch] },
+    earlyStopping: { monitor: "score", patience: 3 },
+    onEpochEnd: () => { snapshots.push(network.getParameters()); }
+  });
+
+  assert.equal(history.bestEpoch, 1);
+  assert.equal(history.stoppedEpoch, 4);
+  assert.deepEqual(history.score, [3, 1, 2, 2, 2]);
+  assert.deepEqual(network.getParameters(), snapshots[1]);
+  assert.notDeepEqual(snapshots[4], snapshots[1]);
+});
+
+test("validationSplit réserve les derniers échantillons et mesure valLoss en fin d'epoch", () => {
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid", { rng: 6 });
+  const validation = [];
+
+  const history = network.train(INPUTS, TARGETS, 3, 0.5, {
+    validationSplit: 0.25,
+    onEpochEnd: () => { validation.push(network.evaluateMetrics([INPUTS[3]], [TARGETS[3]]).loss); }
+  });
+
+  assert.deepEqual(history.valLoss, validation);
+  assert.equal(history.valAccuracy.length, 3);
+  assert.equal(network.step, 9, "3 échantillons d'entraînement par epoch");
+  assert.throws(() => network.train(INPUTS, TARGETS, 1, 0.5, { validationSplit: 1 }), /validationSplit/);
+});
@@ -0,0 +1,180 @@
+/**********************************************************
+ *      _   _                 _ _     ___  ___ _
+ *     | \ | |               | | |    |  \/  || |
+ *     |  \| | ___   ___   __| | | ___| .  . || |
+ *     | . ` |/ _ \ / _ \ / _` | |/ _ \ |\/| || |
+ *     | |\  | (_) | (_) | (_| | |  __/ |  | || |____
+ *     \_| \_/\___/ \___/ \__,_|_|\___\_|  |_/\_____/
+ *
+ *      🍜 Think with noodles. Code AI with neurons.
+ *       -------------------------------------------
+ *            Minimal Neural Network Framework
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * © 2025 Sébastien MARCHAND
+ **********************************************************/
+
+
+/**
+ * Tests de l'entraînement dans un worker sous Node (`worker_threads`) : résultat identique à un entraînement
+ * dans le thread principal, pause, reprise et annulation.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { NeuralNetwork, TrainingWorker, Random } from 'noodleml';
+
+const INPUTS = [[0, 0], [0, 1], [1, 0], [1, 1]];
+const TARGETS = [[0], [1], [1], [0]];
+const SCRIPT_URL = new URL('./Model/TrainingWorkerScript.js', import.meta.resolve('noodleml'));
+
+/**
+ * Crée un TrainingWorker Node pour le réseau.
+ * @param {NeuralNetwork} network 
+ * @returns {TrainingWorker}
+ */
+function createTrainer(network) {
+  return new TrainingWorker(network, { scriptUrl: SCRIPT_URL, createWorker: url => new Worker(url) });
+}
+
+/**
+ * Attend qu'une condition devienne vraie (échoue au bout de `timeout` ms).
+ * @param {function(): boolean} condition 
+ * @param {number} [timeout=5000] 
+ */
+async function until(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("Délai dépassé.");
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test("le worker entraîne le réseau comme le thread principal", { timeout: 20000 }, async () => {
+  const network = new NeuralNetwork([2, 4, 1], null, null, 0.5, "tanh", { rng: 7 });
+  const reference = NeuralNetwork.fromJSON(network.toJSON());
+  const trainer = createTrainer(network);
+
+  try {
+    let epochs = 0;
+    let snapshots = 0;
+    const history = await trainer.train(INPUTS, TARGETS, 100, 0.05, {
+      optimizer: "adam",
+      snapshotEvery: 25,
+      onEpochEnd: () => epochs++,
+      onSnapshot: () => snapshots++
+    });
+    const expected = reference.train(INPUTS, TARGETS, 100, 0.05, { optimizer: "adam" });
+
+    assert.equal(epochs, 100);
+    assert.equal(snapshots, 4);
+    assert.deepEqual(history.loss, expected.loss);
+    assert.deepEqual(network.getParameters(), reference.getParameters());
+    assert.equal(trainer.isTraining(), false);
+  } finally {
+    trainer.terminate();
+  }
+});
+
+test("le worker peut être mis en pause, relancé puis annulé", { timeout: 20000 }, async () => {
+  const network = new NeuralNetwork([2, 4, 1], null, null, 0.5, "sigmoid", { rng: 3 });
+  const trainer = createTrainer(network);
+
+  try {
+    let last = -1;
+    const training = trainer.train(INPUTS, TARGETS, 1e6, 0.1, {
+      snapshotEvery: 0,
+      onEpochEnd: epoch => {
+        last = epoch;
+        if (epoch === 20) {
+          trainer.pause();
+        }
+      }
+    });
+
+    await until(() => trainer.isPaused());
+    await delay(100); // Laisse arriver les messages des epochs déjà terminées
+    const paused = last;
+    await delay(200);
+    assert.equal(last, paused, "aucune epoch pendant la pause");
+
+    trainer.resume();
+    await until(() => last > paused + 5);
+
+    trainer.cancel();
+    const history = await training;
+
+    assert.ok(history.epochs > paused && history.epochs < 1e6);
+    assert.equal(network.epoch, history.epochs);
+    assert.equal(trainer.isTraining(), false);
+  } finally {
+    trainer.terminate();
+  }
+});
+
+test("sans SharedArrayBuffer, l'annulation arrête le worker et résout la promesse avec null", { timeout: 20000 }, async () => {
+  const network = new NeuralNetwork([2, 4, 1], null, null, 0.5, "sigmoid", { rng: 3 });
+  globalThis.crossOriginIsolated = false; // Page non isolée : pas de mémoire partagée avec le worker
+  let trainer;
+  try {
+    trainer = createTrainer(network);
+  } finally {
+    delete globalThis.crossOriginIsolated;
+  }
+  assert.equal(trainer.control, null);
+
+  let last = -1;
+  const training = trainer.train(INPUTS, TARGETS, 1e6, 0.1, { snapshotEvery: 0, onEpochEnd: epoch => last = epoch });
+  await until(() => last >= 5);
+  trainer.cancel();
+
+  assert.equal(await training, null);
+  assert.equal(trainer.isTraining(), false);
+  await assert.rejects(trainer.train(INPUTS, TARGETS, 1), /arrêté/);
+});
+
+test("sans SharedArrayBuffer, onEpochEnd retournant false résout la promesse avec null", { timeout: 20000 }, async () => {
+  const network = new NeuralNetwork([2, 4, 1], null, null, 0.5, "sigmoid", { rng: 3 });
+  globalThis.crossOriginIsolated = false;
+  let trainer;
+  try {
+    trainer = createTrainer(network);
+  } finally {
+    delete globalThis.crossOriginIsolated;
+  }
+
+  const history = await trainer.train(INPUTS, TARGETS, 1e6, 0.1, { snapshotEvery: 0, onEpochEnd: epoch => epoch < 10 });
+
+  assert.equal(history, null);
+});
+
+test("l'entraînement dans un worker ne modifie pas le générateur partagé Random", { timeout: 20000 }, async () => {
+  Random.setSeed(11);
+  const network = new NeuralNetwork([2, 3, 1], null, null, 0.5, "sigmoid"); // Générateur partagé Random
+  const state = Random.getState();
+  const trainer = createTrainer(network);
+
+  try {
+    await trainer.train(INPUTS, TARGETS, 20, 0.1, { batchSize: 2 });
+    assert.equal(network.rng, Random);
+    assert.deepEqual(Random.getState(), state);
+  } finally {
+    trainer.terminate();
+  }
+});